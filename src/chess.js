@@ -30,10 +30,128 @@ const TT_CASTLE_QUEEN = 'CASTLE_QUEEN_SIDE'
 const TT_BLACK_MOVE = 'BLACK_MOVE_SINGLE'
 const TT_TEXT_ANALYSIS = 'TEXT_ANALYSIS'
 const TT_MOVE_ANALYSIS = 'MOVE_ANALYSIS'
+const TT_VARIATION_START = 'VARIATION_START'
+const TT_VARIATION_END = 'VARIATION_END'
+const TT_NAG = 'NAG'
+const TT_COORDINATE_MOVE = 'COORDINATE_MOVE'
+const TT_UNKNOWN = 'UNKNOWN' // text that couldn't be read, skipped while recovering
+const SUFFIX_ANNOTATIONS = new Map([['!', 1], ['?', 2], ['!!', 3], ['??', 4], ['!?', 5], ['?!', 6]])
 const VALID_PIECE_LETTERS = new Set(['R', 'N', 'B', 'Q', 'K', 'O'])
+// the result of a game, as given by PGNBoard.result
+const RESULT_WHITE_WIN = 'white_win'
+const RESULT_BLACK_WIN = 'black_win'
+const RESULT_DRAW = 'draw'
+const RESULT_UNKNOWN = 'unknown' // the game is unfinished, or its result is not known ('*')
+const RESULT_TYPES = new Map([['1-0', RESULT_WHITE_WIN], ['0-1', RESULT_BLACK_WIN], ['1/2-1/2', RESULT_DRAW], ['*', RESULT_UNKNOWN]])
+// values of the Variant tag naming Chess960 (compared lowercased and without spaces, dashes or underscores)
+const CHESS960_VARIANTS = new Set(['chess960', '960', 'fischerandom', 'fischerrandom', 'fischerrandomchess'])
+// values of the Termination tag given by the PGN standard (lowercased, as returned by PGNBoard.getTermination)
+const TERMINATION_TYPES = new Set(['abandoned', 'adjudication', 'death', 'emergency', 'normal', 'rules infraction', 'time forfeit', 'unterminated'])
 const VALID_BOARD_LETTERS = new Set(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'])
+// figurine notation (e.g. '♘f3') and the letters it stands for (pawns are written without a letter)
+const FIGURINE_LETTERS = new Map([['♔', 'K'], ['♕', 'Q'], ['♖', 'R'], ['♗', 'B'], ['♘', 'N'], ['♙', ''], ['♚', 'K'], ['♛', 'Q'], ['♜', 'R'], ['♝', 'B'], ['♞', 'N'], ['♟', '']])
 
 //MARK: END PGN TOKEN DATA
+//MARK: BOARD DATA
+
+// a position is a Uint8Array of 64 squares (index rank * 8 + file, so a1 is 0 and h8 is 63) holding the code of the piece on each square
+const PIECE_NAMES = ['', 'WP', 'WN', 'WB', 'WR', 'WQ', 'WK', 'BP', 'BN', 'BB', 'BR', 'BQ', 'BK'] // by code, 0 being an empty square
+const PIECE_CODES = new Map(PIECE_NAMES.map((name, code) => [name, code]))
+const BOARD_VIEW_EMPTY = '&nbsp;' // how an empty square is shown in memory_boards
+const BOARD_VIEWS = new WeakMap() // the memory_boards view of each position, made when first asked for
+const BOARD_LISTS = new WeakMap() // memory_boards of each list of positions as {version, boards}, kept until the board's positions_version moves on
+// the name of every square by index, so moves and records share these strings instead of each holding their own
+const SQUARE_NAMES = Array.from({length: 64}, (_, index) => 'abcdefgh'[index % 8] + String(Math.floor(index / 8) + 1))
+
+// how each piece moves as [file, rank] steps, bishops, rooks and queens repeat their steps until something is in the way
+const STRAIGHT_STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+const DIAGONAL_STEPS = [[1, 1], [1, -1], [-1, 1], [-1, -1]]
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]]
+const PIECE_STEPS = new Map([['N', KNIGHT_STEPS], ['B', DIAGONAL_STEPS], ['R', STRAIGHT_STEPS], ['Q', STRAIGHT_STEPS.concat(DIAGONAL_STEPS)], ['K', STRAIGHT_STEPS.concat(DIAGONAL_STEPS)]])
+const SLIDING_PIECES = new Set(['B', 'R', 'Q'])
+
+/**
+ * Gives the view of a position in the shape of memory_boards: an 8x8 array of rows from the first rank,
+ * with 'WP', 'BK', etc. for the pieces and '&nbsp;' for empty squares. The view is made once per position,
+ * and it is frozen since changing it couldn't change the position
+ * @param {Uint8Array} position Required. The position
+ * @returns Array<Array<String>>
+ */
+function makeBoardView(position) {
+    let view = BOARD_VIEWS.get(position)
+    if(view === undefined) {
+        view = new Array(8)
+        for(var r = 0; r < 8; r++) {
+            view[r] = new Array(8)
+            for(var f = 0; f < 8; f++) {
+                const code = position[r * 8 + f]
+                view[r][f] = (code == 0 ? BOARD_VIEW_EMPTY : PIECE_NAMES[code])
+            }
+            Object.freeze(view[r])
+        }
+        Object.freeze(view)
+        BOARD_VIEWS.set(position, view)
+    }
+
+    return view
+}
+
+/**
+ * Gives the name of a square on the board as kept in SQUARE_NAMES
+ * @param {String} file Required. The file (a-h)
+ * @param {String} rank Required. The rank (1-8)
+ * @returns String
+ */
+function squareName(file, rank) {
+    return SQUARE_NAMES[(rank.charCodeAt(0) - 49) * 8 + file.charCodeAt(0) - 97]
+}
+
+//MARK: END BOARD DATA
+//MARK: ZOBRIST DATA
+
+/**
+ * Makes the random numbers used for Zobrist hashing (see PGNBoard.makeHash).
+ * They come from a fixed seed, so a position always gets the same hash
+ * @returns Object consisting of keys: pieces (by piece, then by square as rank * 8 + file), castling (by castling right), en_passant (by file) and black (for black to move)
+ */
+function makeZobristKeys() {
+    // splitmix64, which only needs a seed to always give the same numbers
+    const mask = (1n << 64n) - 1n
+    let seed = 0x5A0B217n
+    const next = () => {
+        seed = (seed + 0x9E3779B97F4A7C15n) & mask
+        let z = seed
+        z = ((z ^ (z >> 30n)) * 0xBF58476D1CE4E5B9n) & mask
+        z = ((z ^ (z >> 27n)) * 0x94D049BB133111EBn) & mask
+        return z ^ (z >> 31n)
+    }
+
+    let pieces = new Map()
+    const piece_names = ['WP', 'WN', 'WB', 'WR', 'WQ', 'WK', 'BP', 'BN', 'BB', 'BR', 'BQ', 'BK']
+    for(var i = 0; i < piece_names.length; i++) {
+        let squares = new Array(64)
+        for(var z = 0; z < 64; z++) {
+            squares[z] = next()
+        }
+        pieces.set(piece_names[i], squares)
+    }
+    // castling rights are written as 'KQkq', or as the files of the rooks in Chess960
+    let castling = new Map()
+    const rights = 'KQkqABCDEFGHabcdefgh'
+    for(var i = 0; i < rights.length; i++) {
+        castling.set(rights.substring(i, i + 1), next())
+    }
+    let en_passant = new Array(8)
+    for(var i = 0; i < 8; i++) {
+        en_passant[i] = next()
+    }
+
+    return {pieces: pieces, castling: castling, en_passant: en_passant, black: next()}
+}
+
+const ZOBRIST_KEYS = makeZobristKeys()
+
+//MARK: END ZOBRIST DATA
 //MARK: ERROR DATA
 
 /**
@@ -49,6 +167,23 @@ class PGNError extends Error {
         this.problem_short = 'Unknown'
         this.line = 0
         this.col = 0
+        this.start = null // offset in the PGN of the first character the error is about
+        this.end = null // offset in the PGN right after the last character the error is about
+    }
+    /**
+     * Points the error at the part of the PGN it is about
+     * @param {Object | null} source Required. Anything with the keys start, end, line and col (e.g. a token or a move), or null if it is not known
+     * @returns PGNError
+     */
+    at(source) {
+        if(source != null && source.start != null) {
+            this.start = source.start
+            this.end = source.end
+            this.line = source.line
+            this.col = source.col
+        }
+
+        return this
     }
 }
 
@@ -95,11 +230,47 @@ class InterpretError extends PGNError {
     /**
      * Constructs with problem
      * @param {String} problem Required. The problem
+     * @param {Number | null} [ply=null] Optional. The ply (half-move index, starting at 1) the problem occured on
+     * @param {String | null} [san=null] Optional. The notation of the move that caused the problem
      */
-    constructor(problem) {
+    constructor(problem, ply = null, san = null) {
         super()
         this.problem_short = 'interpreter_error'
         this.message = problem
+        this.ply = ply
+        this.san = san
+    }
+}
+
+/**
+ * A problem found while reading that doesn't stop the game from being read (e.g. the result disagreeing with the position)
+ */
+class PGNDiagnostic {
+
+    /**
+     * Constructs the diagnostic
+     * @param {String} severity Required. How bad the problem is ('error' or 'warning')
+     * @param {String} code Required. A short name for the kind of problem (e.g. 'result_tag_mismatch')
+     * @param {String} message Required. The problem
+     * @param {Number | null} [ply=null] Optional. The ply (half-move index, starting at 1) the problem occured on
+     * @param {Object | null} [source=null] Optional. The part of the PGN the problem is about: anything with the keys start, end, line and col (e.g. a token, a move or an error)
+     */
+    constructor(severity, code, message, ply = null, source = null) {
+        this.severity = severity
+        this.code = code
+        this.message = message
+        this.ply = ply
+        // where in the PGN the problem is (offsets, and the line and column of the start), if known
+        this.start = null
+        this.end = null
+        this.line = null
+        this.col = null
+        if(source != null && source.start != null) {
+            this.start = source.start
+            this.end = source.end
+            this.line = source.line
+            this.col = source.col
+        }
     }
 }
 
@@ -112,6 +283,11 @@ class PGNNode {
 
     constructor() {
         this.node_type = 'unknown'
+        // where the node was written in the PGN, filled in by the parser (see PGNToken)
+        this.start = null
+        this.end = null
+        this.line = null
+        this.col = null
     }
 }
 
@@ -140,7 +316,9 @@ class PGNMove extends PGNNode {
 
     /**
      * Constructs given the two moves
-     * @param {Object} white_move An object consisting of keys (where keys with '?' are optional): piece_type, target_square, from_rank?, from_file?
+     * @param {Object | null} white_move An object consisting of keys (where keys with '?' are optional): piece_type, target_square, from_rank?, from_file?, from_square?, san, comments_before, comments_after, nags, clock, elapsed, evaluation, start, end, line, col. Can be null if black moves first (e.g. '23... Rxe4').
+     * start, end, line and col tell where the move (just its notation) was written in the PGN, the same way as for a token
+     * from_square is only given for long algebraic or coordinate notation (e.g. 'Ng1-f3' or 'e2e4'), where piece_type is null if no piece was written
      * @param {Object | null} black_move Same as white move. But can be null if white move was final result of game
      */
     constructor(white_move, black_move) {
@@ -167,6 +345,38 @@ class PGNResult extends PGNNode {
     }
 }
 
+/**
+ * For recording a variation (moves within the '(...)')
+ */
+class PGNVariation extends PGNNode {
+
+    /**
+     * For building the variation
+     * @param {Array<PGNNode>} nodes Required. The nodes within the variation (moves and any nested variations)
+     */
+    constructor(nodes) {
+        super()
+        this.nodes = nodes
+        this.node_type = 'variation'
+    }
+}
+
+/**
+ * For marking where notation that couldn't be read was skipped while recovering (the line can't go on past it)
+ */
+class PGNSkipped extends PGNNode {
+
+    /**
+     * For building the skipped part
+     * @param {String} text Required. The notation that was skipped
+     */
+    constructor(text) {
+        super()
+        this.text = text
+        this.node_type = 'skipped'
+    }
+}
+
 /**
  * A PGN token
  */
@@ -180,6 +390,12 @@ class PGNToken {
     constructor(type, value) {
         this.type = type
         this.value = value
+        this.suffix = '' // symbols written right after the token that are not needed for parsing (e.g. 'x', '+', '#')
+        // where the token was written in the PGN, filled in by the lexer
+        this.start = null // offset of the first character
+        this.end = null // offset right after the last character (suffix included)
+        this.line = null // line of the first character (starting at 1)
+        this.col = null // column of the first character (starting at 1)
     }
 }
 
@@ -199,6 +415,27 @@ class PGNHeaderToken extends PGNToken {
     }
 }
 
+/**
+ * A move written in long algebraic or coordinate notation (e.g. 'Ng1-f3', 'e2e4' or 'e7e8q')
+ */
+class PGNCoordinateToken extends PGNToken {
+    /**
+     * For initializing the move
+     * @param {String} text Required. The move as it was written
+     * @param {String | null} piece Required. The piece letter written (null if there is none)
+     * @param {String} from_square Required. The square the piece moves from
+     * @param {String} target_square Required. The square the piece moves to
+     * @param {String | null} promotion Required. The piece a pawn promotes to (null if there is none)
+     */
+    constructor(text, piece, from_square, target_square, promotion) {
+        super(TT_COORDINATE_MOVE, text)
+        this.piece = piece
+        this.from_square = from_square
+        this.target_square = target_square
+        this.promotion = promotion
+    }
+}
+
 /**
  * Full pgn lexer
  */
@@ -214,9 +451,9 @@ class PGNLexer {
         this.curr_token = null
         this.alpha = new Set(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'r', 'n', 'b', 'q', 'k']) // this only contains letters which are used in notation
         this.num = new Set(['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'])
-        this.symbols = new Set(['/', '+', '#', '!', '?', 'x'])
-        this.line_num = 1
-        this.col_num = 1
+        this.symbols = new Set(['/', '+', '#', 'x'])
+        this.whitespace = new Set([' ', '\n', '\r', '\t', '\uFEFF']) // the byte order mark some files start with is skipped like any space
+        this.line_starts = null // offsets each line starts on, made when first needed (see sourcePosition)
         /**
          * Additional settings for lexing
          */
@@ -226,10 +463,74 @@ class PGNLexer {
              */
             skip_text_analysis: true,
             /**
-             * If move analysis (data in '()' format) should be skipped and not returned
+             * If move analysis (data in '()' format) should be skipped and not returned.
+             * When not skipped, the variation is returned as tokens so it can be parsed like any other moves
              */
-            skip_move_analysis: true
+            skip_move_analysis: true,
+            /**
+             * If text that can't be read should be put in diagnostics and skipped, instead of stopping with an error
+             */
+            recover: false
+        }
+        this.diagnostics = [] // problems found while recovering (see PGNDiagnostic)
+        this.token_start = 0 // index of the character the token being made started on
+        this.located = 0 // number of tokens made so far that know where they were written
+    }
+    /**
+     * Gets the line and column of a character in the data
+     * @param {Number} offset Required. Index of the character
+     * @returns Object consisting of keys: line, col (both starting at 1)
+     */
+    sourcePosition(offset) {
+        if(this.line_starts === null) {
+            this.line_starts = [0]
+            for(var i = 0; i < this.data.length; i++) {
+                if(this.data.charCodeAt(i) == 10) {
+                    this.line_starts.push(i + 1)
+                }
+            }
+        }
+
+        // find the last line starting before the offset
+        let low = 0
+        let high = this.line_starts.length - 1
+        while(low < high) {
+            const mid = Math.ceil((low + high) / 2)
+            if(this.line_starts[mid] <= offset) {
+                low = mid
+            } else {
+                high = mid - 1
+            }
         }
+
+        return {line: low + 1, col: offset - this.line_starts[low] + 1}
+    }
+    /**
+     * Sets where the tokens made since the last call were written (from where the token being made started up to the current character)
+     * @param {Array<PGNToken>} tokens Required. The tokens made so far
+     */
+    locateTokens(tokens) {
+        const end = Math.min(this.curr_token_index, this.data.length)
+        for(var i = this.located; i < tokens.length; i++) {
+            const position = this.sourcePosition(this.token_start)
+            tokens[i].start = this.token_start
+            tokens[i].end = end
+            tokens[i].line = position.line
+            tokens[i].col = position.col
+        }
+        this.located = tokens.length
+    }
+    /**
+     * Makes an error pointing at the text from where the token being made started up to the current character
+     * @param {String} problem Required. The problem
+     * @returns LexerError
+     */
+    lexerError(problem) {
+        const start = this.token_start
+        const end = Math.min(Math.max(this.curr_token_index + 1, start + 1), this.data.length)
+        const position = this.sourcePosition(start)
+
+        return new LexerError(problem, position.line, position.col).at({start: start, end: end, line: position.line, col: position.col})
     }
 
     /**
@@ -295,16 +596,13 @@ class PGNLexer {
         // we should expect '-'
         let temp = new PGNLexer(this.data) // we can use another lexer for easy checking
         temp.curr_token_index = this.curr_token_index
-        let curr = this.col_num
         temp.advance()
-        curr += 1
         let draw_result = false
         // if res == 1 then the next token could also be /2
         // check for this while looping
         while(temp.curr_token != null) {
             if(temp.curr_token == ' ') {
                 temp.advance()
-                curr += 1
                 continue
             }
             if(!hit_slash && res == '1' && temp.curr_token == '/') {
@@ -312,7 +610,6 @@ class PGNLexer {
                 draw_result = true
                 res += '/'
                 temp.advance()
-                curr += 1
                 continue
             }
 
@@ -324,8 +621,7 @@ class PGNLexer {
                     }
                     res += '2'
                     temp.advance()
-                    curr += 1
-                    if(res.length == 6) {
+                    if(res.length == 7) {
                         // we are done
                         break
                     }
@@ -337,7 +633,6 @@ class PGNLexer {
                     }
                     res += '-'
                     temp.advance()
-                    curr += 1
                     continue
                 } else if(res.length == 4) {
                     // expect '1'
@@ -346,7 +641,6 @@ class PGNLexer {
                     }
                     res += '1'
                     temp.advance()
-                    curr += 1
                     continue
                 } else if(res.length == 5) {
                     // expect '/'
@@ -355,7 +649,6 @@ class PGNLexer {
                     }
                     res += '/'
                     temp.advance()
-                    curr += 1
                     continue
                 }
             } else {
@@ -366,7 +659,6 @@ class PGNLexer {
                     }
                     res += '-'
                     temp.advance()
-                    curr += 1
                     continue
                 } else if(res.length == 2) {
                     // expect 0/1
@@ -375,7 +667,6 @@ class PGNLexer {
                     }
                     res += temp.curr_token
                     temp.advance()
-                    curr += 1
                     break
                 }
             }
@@ -385,9 +676,73 @@ class PGNLexer {
         // reset current token to whatever was in temp
         this.curr_token_index = temp.curr_token_index
         this.curr_token = temp.curr_token
-        this.col_num = curr
         return new PGNToken(TT_RES, res)
     }
+    /**
+     * Determines if a move in long algebraic or coordinate notation starts at the current token (e.g. 'Ng1-f3', 'Nb1xc3', 'e2e4' or 'e7e8q')
+     * @returns null | PGNCoordinateToken
+     */
+    canMakeCoordinateMove() {
+        // both squares must be written right next to each other, otherwise '1. e4 e5' would read as a move from e4 to e5
+        // (any rank is taken, so the parser can tell that a square like 'e9' is off the board)
+        const pattern = /([NBRQK])?([a-h][0-9])[-x]?([a-h][0-9])(=?([QRBNqrbn]))?/y
+        pattern.lastIndex = this.curr_token_index
+        const match = pattern.exec(this.data)
+        if(match === null) {
+            return null
+        }
+
+        // move past the whole move
+        for(var i = 0; i < match[0].length; i++) {
+            this.advance()
+        }
+        return new PGNCoordinateToken(match[0], (match[1] !== undefined ? match[1] : null), match[2], match[3], (match[5] !== undefined ? match[5].toUpperCase() : null))
+    }
+    /**
+     * Determines if castling written with zeros starts at the current token (e.g. '0-0' or '0-0-0')
+     * @returns null | PGNToken
+     */
+    canMakeZeroCastle() {
+        const pattern = /0-0(-0)?/y
+        pattern.lastIndex = this.curr_token_index
+        const match = pattern.exec(this.data)
+        // '0-0' is never a result, but the zeros must not be part of a longer number
+        if(match === null || this.num.has(this.data.substring(pattern.lastIndex, pattern.lastIndex + 1))) {
+            return null
+        }
+
+        const castle = (match[1] !== undefined ? 'O-O-O' : 'O-O')
+        this.warn('zero_castling', `Castling written with zeros ("${match[0]}") is not standard PGN and was read as "${castle}"`, this.curr_token_index, pattern.lastIndex)
+        for(var i = 0; i < match[0].length; i++) {
+            this.advance()
+        }
+        return new PGNToken(castle == 'O-O' ? TT_CASTLE_KING : TT_CASTLE_QUEEN, castle)
+    }
+    /**
+     * Replaces the figurine at the current token with the letter of its piece (e.g. '♘f3' is read as 'Nf3')
+     */
+    readFigurine() {
+        const figurine = this.curr_token
+        const letter = FIGURINE_LETTERS.get(figurine)
+        this.warn('figurine_notation', `The figurine "${figurine}" is not standard PGN and was read as ${letter !== '' ? '"' + letter + '"' : 'a pawn'}`, this.curr_token_index, this.curr_token_index + 1)
+        // the letter takes the place of the figurine so the move is read as usual (pawns have no letter so a space is used instead)
+        const replacement = (letter !== '' ? letter : ' ')
+        this.data = this.data.substring(0, this.curr_token_index) + replacement + this.data.substring(this.curr_token_index + 1)
+        this.curr_token = replacement
+    }
+    /**
+     * Skips the rest of the line (the line break itself is not skipped)
+     * @returns String the text skipped
+     */
+    skipLine() {
+        let text = ''
+        while(this.curr_token !== null && this.curr_token !== '\n') {
+            text += this.curr_token
+            this.advance()
+        }
+
+        return text
+    }
     /**
      * Makes the game data token
      * @returns the game data token
@@ -397,10 +752,9 @@ class PGNLexer {
     makeGameData() {
         // it is assumed that the current token is '['
         this.advance()
-        this.col_num += 1
         // assert current token is not null
         if(this.curr_token == null) {
-            throw new LexerError('Expected expression after \'[\'', this.line_num, this.col_num)
+            throw this.lexerError('Expected expression after \'[\'')
         }
         let data_name = ''
         let data_value = ''
@@ -408,7 +762,7 @@ class PGNLexer {
 
         while(this.curr_token !== null) {
             if(this.curr_token == '\n') {
-                throw new LexerError('Unterminated game detail', this.line_num, this.col_num)
+                throw this.lexerError('Unterminated game detail')
             }
             if(this.curr_token == ']') {
                 break
@@ -417,31 +771,58 @@ class PGNLexer {
                 if(!touched_name) {
                     touched_name = true
                     this.advance()
-                    this.col_num += 1
                     continue
                 }
             }
             if(!touched_name) {
                 data_name += this.curr_token
                 this.advance()
-                this.col_num += 1
+                continue
+            }
+            // the value is a string, which can hold anything (']' included) other than the line break
+            if(this.curr_token == '"' && data_value.trim() === '') {
+                data_value = this.makeTagString()
                 continue
             }
             data_value += this.curr_token
             this.advance()
-            this.col_num += 1
             continue
         }
 
         // assert current token is ']'
         if(this.curr_token != ']') {
-            throw new LexerError('Expected \']\' but not found', this.line_num, this.col_num)
+            throw this.lexerError('Expected \']\' but not found')
         }
 
         this.advance()
-        this.col_num += 1
         return new PGNHeaderToken(data_name, data_value)
     }
+    /**
+     * Makes the string holding the value of a tag, where '\"' stands for a quote and '\\' for a backslash
+     * @returns String the value along with its quotes, without any escapes
+     * @throws An error if the string is not terminated on its line
+     */
+    makeTagString() {
+        // it is assumed that the current token is '"'
+        let value = '"'
+        this.advance()
+        while(this.curr_token !== null && this.curr_token !== '"') {
+            if(this.curr_token == '\n') {
+                throw this.lexerError('Unterminated game detail')
+            }
+            if(this.curr_token == '\\' && (this.previewAdvance() == '"' || this.previewAdvance() == '\\')) {
+                this.advance()
+            }
+            value += this.curr_token
+            this.advance()
+        }
+        if(this.curr_token === null) {
+            throw this.lexerError('Unterminated game detail')
+        }
+        this.advance()
+
+        return value + '"'
+    }
     /**
      * Makes the castle data token
      * @returns the castle data token
@@ -450,39 +831,34 @@ class PGNLexer {
     makeCastleToken() {
         // it is assumed the current token is 'o'
         this.advance()
-        this.col_num += 1
         // expect '-'
         if(this.curr_token != '-') {
-            throw new LexerError('Expected \'-\' in castle notation', 0, 0)
+            throw this.lexerError('Expected \'-\' in castle notation')
         }
         this.advance()
-        this.col_num += 1
         // expect 'o'
         if(this.curr_token == null) {
-            throw new LexerError('Expected \'o\' in castle notation', 0, 0)
+            throw this.lexerError('Expected \'o\' in castle notation')
         }
         if(this.curr_token.toLowerCase() != 'o') {
-            throw new LexerError('Expected \'o\' in castle notation', 0, 0)
+            throw this.lexerError('Expected \'o\' in castle notation')
         }
         this.advance()
-        this.col_num += 1
         // could also be queenside castle
         if(this.curr_token == null) {
-            return new PGNToken(TT_CASTLE_KING, '')
+            return new PGNToken(TT_CASTLE_KING, 'O-O')
         }
         if(this.curr_token != '-') {
-            return new PGNToken(TT_CASTLE_KING, '')
+            return new PGNToken(TT_CASTLE_KING, 'O-O')
         }
         this.advance()
-        this.col_num += 1
         // expect 'o'
         if(this.curr_token == null || this.curr_token.toLowerCase() != 'o') {
-            throw new LexerError('Expected \'o\' in castle notation')
+            throw this.lexerError('Expected \'o\' in castle notation')
         }
 
         this.advance()
-        this.col_num += 1
-        return new PGNToken(TT_CASTLE_QUEEN, '')
+        return new PGNToken(TT_CASTLE_QUEEN, 'O-O-O')
     }
     /**
      * Makes the number given the current token
@@ -493,11 +869,9 @@ class PGNLexer {
         let num = this.curr_token + ''
 
         this.advance()
-        this.col_num += 1
         while(this.curr_token !== null && this.num.has(this.curr_token)) {
             num += this.curr_token
             this.advance()
-            this.col_num += 1
         }
 
         return num
@@ -509,25 +883,19 @@ class PGNLexer {
     skipAnalysis() {
         // it is assumed that the current token is '{'
         this.advance()
-        this.col_num += 1
         let analysis_data = ''
         while(this.curr_token !== null && this.curr_token !== '}') {
-            if(this.curr_token == '\n') {
-                throw new LexerError('Untermined bracket: Expected \'}\'', this.line_num, this.col_num)
-            }
             analysis_data += this.curr_token
             this.advance()
-            this.col_num += 1
         }
 
         // make sure current token is '}'
         if(this.curr_token !== '}') {
-            throw new LexerError('Unterminated analysis', this.line_num, this.col_num)
+            throw this.lexerError('Unterminated analysis')
         }
 
         // advance past
         this.advance()
-        this.col_num += 1
 
         return analysis_data
     }
@@ -538,7 +906,6 @@ class PGNLexer {
     skipAltMoves() {
         // it is assumed that the current token is '('
         this.advance()
-        this.col_num += 1
         // keep skipping while we still have some characters
         // and stop on ')'
         let alt_moves = ''
@@ -548,25 +915,52 @@ class PGNLexer {
                 const res = this.skipAltMoves()
                 alt_moves += res
                 continue
-            } else if(this.curr_token == '\n') {
-                throw new LexerError('Unterminated analysis: Expected \')\'', this.line_num, this.col_num)
+            } else if(this.curr_token == '{') {
+                // comments could hold brackets of their own
+                alt_moves += '{' + this.skipAnalysis() + '}'
+                continue
+            } else if(this.curr_token == ';') {
+                alt_moves += this.skipLine()
+                continue
             }
             alt_moves += this.curr_token
             this.advance()
-            this.col_num += 1
         }
 
         // make sure we terminate correctly
         if(this.curr_token !== ')') {
-            throw new LexerError('Unterminated analysis: Expected \')\'', this.line_num, this.col_num)
+            throw this.lexerError('Unterminated analysis: Expected \')\'')
         }
 
         // skip this token
         this.advance()
-        this.col_num += 1
 
         return alt_moves
     }
+    /**
+     * Makes the token for a move annotation, either written as a suffix (e.g. '!?') or as a numeric annotation glyph (e.g. '$5')
+     * @returns PGNToken
+     * @throws An error if the annotation is invalid
+     */
+    makeAnnotation() {
+        if(this.curr_token == '$') {
+            this.advance()
+            if(this.curr_token == null || !this.num.has(this.curr_token)) {
+                throw this.lexerError('Expected number after \'$\'')
+            }
+            return new PGNToken(TT_NAG, this.makeNumber())
+        }
+
+        // suffixes are at most two characters long
+        let suffix = this.curr_token + ''
+        this.advance()
+        if(this.curr_token !== null && SUFFIX_ANNOTATIONS.has(suffix + this.curr_token)) {
+            suffix += this.curr_token
+            this.advance()
+        }
+
+        return new PGNToken(TT_NAG, String(SUFFIX_ANNOTATIONS.get(suffix)))
+    }
     /**
      * Determines if the current set of tokens follow the format: [move_num]...
      * @returns Token | null
@@ -583,31 +977,91 @@ class PGNLexer {
 
         return new PGNToken(TT_BLACK_MOVE, '')
     }
+    /**
+     * Skips the text that couldn't be read, up to the next space or line
+     * @param {Number} start Required. Index of the character the token that couldn't be read started on
+     */
+    skipUnknown(start) {
+        // always move on by at least one character, so we don't get stuck on the same one
+        if(this.curr_token_index == start && this.curr_token !== null) {
+            this.advance()
+        }
+        while(this.curr_token !== null && !this.whitespace.has(this.curr_token)) {
+            this.advance()
+        }
+    }
+    /**
+     * Records text that was read even though it is not standard PGN, along with what it was read as
+     * @param {String} code Required. A short name for the kind of text (e.g. 'zero_castling')
+     * @param {String} message Required. What was read
+     * @param {Number} start Required. Index of the first character of the text
+     * @param {Number} end Required. Index right after the last character of the text
+     */
+    warn(code, message, start, end) {
+        const position = this.sourcePosition(start)
+        this.diagnostics.push(new PGNDiagnostic('warning', code, message, null, {start: start, end: end, line: position.line, col: position.col}))
+    }
     /**
      * Makes the tokens
      * @returns A list of tokens
-     * @throws An error on encountering an unexpected token
+     * @throws An error on encountering an unexpected token (unless recovering, where it is put in diagnostics and skipped)
      */
     makeTokens() {
         let tokens = []
 
         this.advance()
+        while(true) {
+            try {
+                return this.lexTokens(tokens)
+            } catch (error) {
+                if(!this.settings.recover || !(error instanceof LexerError)) {
+                    throw error
+                }
+                this.diagnostics.push(new PGNDiagnostic('error', 'lexer_error', error.message, null, error))
+                this.skipUnknown(this.token_start)
+                // the parser has to know moves were skipped, but a broken tag has nothing to do with the moves
+                if(this.data.substring(this.token_start, this.token_start + 1) !== '[') {
+                    tokens.push(new PGNToken(TT_UNKNOWN, this.data.substring(this.token_start, this.curr_token_index)))
+                }
+                this.locateTokens(tokens)
+            }
+        }
+    }
+    /**
+     * Makes tokens from the current character until the end of the data
+     * @param {Array<PGNToken>} tokens Required. The tokens made so far, which the new ones are added to
+     * @returns A list of tokens
+     * @throws An error on encountering an unexpected token
+     */
+    lexTokens(tokens) {
         // keep rendering the tokens while we still can
         while(this.curr_token != null) {
+            this.locateTokens(tokens)
+            this.token_start = this.curr_token_index
             // ignore white spaces
-            if(this.curr_token == ' ') {
+            if(this.whitespace.has(this.curr_token)) {
                 this.advance()
-                this.col_num += 1
                 continue
-            } else if(this.curr_token == '\n') {
-                this.line_num += 1
-                this.col_num = 1
-                this.advance()
+            }
+            // a line starting with '%' is meant for other programs and is ignored
+            if(this.curr_token == '%' && (this.curr_token_index == 0 || this.data.substring(this.curr_token_index - 1, this.curr_token_index) == '\n')) {
+                this.skipLine()
+                continue
+            }
+            // pieces written as figurines are read as their letters
+            if(FIGURINE_LETTERS.has(this.curr_token)) {
+                this.readFigurine()
                 continue
             }
 
             // check data types
             if(this.num.has(this.curr_token)) {
+                // castling written with zeros
+                const z = this.canMakeZeroCastle()
+                if(z !== null) {
+                    tokens.push(z)
+                    continue
+                }
                 // construct number
                 const num_con = this.makeNumber()
                 // could be move num
@@ -621,13 +1075,11 @@ class PGNLexer {
                         this.advance()
                         this.advance()
                         this.advance()
-                        this.col_num += 3
                         continue
                     }
                     // move number found!
                     tokens.push(new PGNToken(TT_MOVE_NUM, num_con)) // we only need the move number since that is more important
                     this.advance()
-                    this.col_num += 1
                     continue
                 }
 
@@ -646,25 +1098,46 @@ class PGNLexer {
                 // just number...
                 tokens.push(new PGNToken(TT_NUM, num_con))
                 continue
+            } else if(this.data.startsWith('e.p.', this.curr_token_index)) {
+                // the en passant capture is already known from the move itself
+                this.warn('en_passant_suffix', 'The "e.p." after an en passant capture is not standard PGN and was skipped', this.curr_token_index, this.curr_token_index + 4)
+                for(var i = 0; i < 4; i++) {
+                    this.advance()
+                }
+                continue
             } else if(this.alpha.has(this.curr_token.toLowerCase())) {
+                // maybe the move is written with both of its squares?
+                const c = this.canMakeCoordinateMove()
+                if(c !== null) {
+                    tokens.push(c)
+                    continue
+                }
                 tokens.push(new PGNToken(TT_LETTER, this.curr_token))
                 this.advance()
-                this.col_num += 1
                 continue
             } else if(this.curr_token == '.') {
                 tokens.push(new PGNToken(TT_DOT, '.'))
                 this.advance()
-                this.col_num += 1
                 continue
             } else if(this.curr_token == '/') {
                 tokens.push(new PGNToken(TT_SLASH, '/'))
                 this.advance()
-                this.col_num += 1
+                continue
+            } else if(this.curr_token == '*') {
+                // the game is unfinished (or the result is unknown)
+                tokens.push(new PGNToken(TT_RES, '*'))
+                this.advance()
+                continue
+            } else if(this.curr_token == '!' || this.curr_token == '?' || this.curr_token == '$') {
+                tokens.push(this.makeAnnotation())
                 continue
             } else if(this.symbols.has(this.curr_token)) {
+                // skip any symbols, but remember them so the move can be written as it was
+                if(tokens.length > 0) {
+                    tokens[tokens.length - 1].suffix += this.curr_token
+                    tokens[tokens.length - 1].end = this.curr_token_index + 1
+                }
                 this.advance()
-                this.col_num += 1
-                // skip any symbols
                 continue
             } else if(this.curr_token == '[') {
                 tokens.push(this.makeGameData())
@@ -672,7 +1145,6 @@ class PGNLexer {
             } else if(this.curr_token == '=') {
                 tokens.push(new PGNToken(TT_EQUALS, '='))
                 this.advance()
-                this.col_num += 1
                 continue
             } else if(this.curr_token.toLowerCase() == 'o') {
                 // castle token
@@ -682,21 +1154,37 @@ class PGNLexer {
                 // skip any analysis
                 const res = this.skipAnalysis()
                 if(!this.settings.skip_text_analysis) {
-                    tokens.push(new PGNToken(TT_TEXT_ANALYSIS, res))
+                    // a comment can be wrapped over several lines, so a line break in it is read as a space
+                    tokens.push(new PGNToken(TT_TEXT_ANALYSIS, res.trim().replace(/[ \t]*\r?\n[ \t]*/g, ' ')))
+                }
+                continue
+            } else if(this.curr_token == ';') {
+                // the comment goes on until the end of the line
+                const res = this.skipLine()
+                if(!this.settings.skip_text_analysis) {
+                    tokens.push(new PGNToken(TT_TEXT_ANALYSIS, res.substring(1).trim()))
                 }
                 continue
             } else if(this.curr_token == '(') {
-                // skip alt moves analysis
-                const res = this.skipAltMoves()
                 if(!this.settings.skip_move_analysis) {
-                    tokens.push(new PGNToken(TT_MOVE_ANALYSIS, res))
+                    // the moves inside will be lexed as usual
+                    tokens.push(new PGNToken(TT_VARIATION_START, '('))
+                    this.advance()
+                    continue
                 }
+                // skip alt moves analysis
+                this.skipAltMoves()
+                continue
+            } else if(this.curr_token == ')' && !this.settings.skip_move_analysis) {
+                tokens.push(new PGNToken(TT_VARIATION_END, ')'))
+                this.advance()
                 continue
             }
 
             // unknown token!
-            throw new LexerError(`Unknown token detected in PGN "${this.curr_token}"`, this.line_num, this.col_num)
+            throw this.lexerError(`Unknown token detected in PGN "${this.curr_token}"`)
         }
+        this.locateTokens(tokens)
 
         return tokens
     }
@@ -715,7 +1203,7 @@ class PGNParser {
         // clear out any analysis tokens
         var fixed_tokens = []
         for(var i = 0; i < tokens.length; i++) {
-            if(tokens[i].type == TT_TEXT_ANALYSIS || tokens[i].type == TT_MOVE_ANALYSIS || tokens[i].type == TT_BLACK_MOVE) {
+            if(tokens[i].type == TT_MOVE_ANALYSIS) {
                 continue
             }
             fixed_tokens.push(tokens[i])
@@ -723,6 +1211,19 @@ class PGNParser {
         this.tokens = fixed_tokens
         this.token_index = -1
         this.curr_token = null
+        this.last_move = null // the last half-move parsed in the current line (comments and NAGs after it belong to it)
+        this.pending_comments = [] // comments before the first move of a line
+        /**
+         * Additional settings for parsing
+         */
+        this.settings = {
+            /**
+             * If notation that can't be parsed should be put in diagnostics and skipped until the next move number, instead of stopping with an error
+             */
+            recover: false
+        }
+        this.diagnostics = [] // problems found while recovering (see PGNDiagnostic)
+        this.node_start = 0 // index of the token the node being parsed started on
     }
     /**
      * For advancing the tokens
@@ -736,33 +1237,135 @@ class PGNParser {
         this.token_index += 1
         this.curr_token = this.tokens[this.token_index]
     }
+    /**
+     * Gets the text of the tokens from the given index up to the current token, as it was written
+     * @param {Number} start Required. Index of the first token
+     * @returns String
+     */
+    tokenText(start) {
+        // the current token is not part of the text, unless we already went past the last token
+        const end = (this.curr_token === null ? this.tokens.length : this.token_index)
+        let text = ''
+        for(var i = start; i < end; i++) {
+            text += this.tokens[i].value + this.tokens[i].suffix
+        }
+
+        return text
+    }
+    /**
+     * Sets where something made from the tokens was written, from the given token up to the last token parsed
+     * @param {Object} target Required. What was made (a node or a move)
+     * @param {Number} start Required. Index of the first token it was made from
+     * @returns The target
+     */
+    locate(target, start) {
+        const last = (this.curr_token === null ? this.tokens.length : this.token_index) - 1
+        if(start < 0 || start > last) {
+            return target
+        }
+        target.start = this.tokens[start].start
+        target.end = this.tokens[last].end
+        target.line = this.tokens[start].line
+        target.col = this.tokens[start].col
+
+        return target
+    }
+    /**
+     * Makes an error pointing at the current token (or the last one if there are no tokens left)
+     * @param {String} problem Required. The problem
+     * @param {Number | null} [start=null] Optional. Index of the token the move being parsed starts at, which the error points at instead
+     * @returns ParserError
+     */
+    parseError(problem, start = null) {
+        // a move that can't be read is pointed at itself, rather than at whatever comes after the part that was read
+        if(start !== null && start < this.tokens.length) {
+            return new ParserError(problem).at(this.tokens[start])
+        }
+        const token = (this.curr_token !== null ? this.curr_token : this.tokens[this.tokens.length - 1])
+        return new ParserError(problem).at(token !== undefined ? token : null)
+    }
+    /**
+     * Asserts the squares written in a move are on the board
+     * @param {String} square Required. The target square (e.g. 'e4')
+     * @param {String | null} from_file Required. The file the piece moves from if written
+     * @param {String | null} from_rank Required. The rank the piece moves from if written
+     * @param {Number} start Required. Index of the token the move starts at
+     * @throws An error when a square is off the board (e.g. 'e9')
+     */
+    assertSquares(square, from_file, from_rank, start) {
+        if(!VALID_BOARD_LETTERS.has(square.substring(0, 1)) || !/^[1-8]$/.test(square.substring(1))) {
+            throw this.parseError(`Invalid notation, the square ${square} is not on the board`, start)
+        }
+        if((from_file !== null && !VALID_BOARD_LETTERS.has(from_file)) || (from_rank !== null && !/^[1-8]$/.test(from_rank))) {
+            throw this.parseError(`Invalid notation, the move doesn't start from a square on the board`, start)
+        }
+    }
     /**
      * Asserts a token is valid
      * @throws An error when the token is null
      */
     assertValid() {
         if(this.curr_token == null) {
-            throw new ParserError('Unexpected error occured...')
+            throw this.parseError('Unexpected error occured...')
         }
     }
     /**
      * Parses the move
+     * @param {Boolean} [black_first=false] Optional. If the move number was written for black (e.g. '23...'), so only a black move follows
+     * @param {Boolean} [numbered=true] Optional. If the move starts with its move number (black moves right after a variation may leave it out)
      * @returns PGNMove
      * @throws An error upon parsing
      */
-    parseMove() {
+    parseMove(black_first = false, numbered = true) {
         // it is assumed the current token is the move number
         // we can skip it
-        this.advance()
-        let white_move = {piece_type: '', target_square: '', from_rank: null, from_file: null}
-        let black_move = {piece_type: '', target_square: '', from_rank: null, from_file: null}
-        let rendering_white = true
-        while(this.curr_token !== null && this.curr_token.type !== TT_MOVE_NUM && this.curr_token.type !== TT_RES) {
+        if(numbered) {
+            this.advance()
+        }
+        let white_move = {piece_type: '', target_square: '', from_rank: null, from_file: null, from_square: null, san: null, comments_before: [], comments_after: [], nags: [], clock: null, elapsed: null, evaluation: null, start: null, end: null, line: null, col: null}
+        let black_move = {piece_type: '', target_square: '', from_rank: null, from_file: null, from_square: null, san: null, comments_before: [], comments_after: [], nags: [], clock: null, elapsed: null, evaluation: null, start: null, end: null, line: null, col: null}
+        let rendering_white = !black_first
+        while(this.curr_token !== null && this.curr_token.type !== TT_MOVE_NUM && this.curr_token.type !== TT_RES && this.curr_token.type !== TT_VARIATION_START && this.curr_token.type !== TT_VARIATION_END && this.curr_token.type !== TT_UNKNOWN) {
+            // annotations between white's and black's move belong to white's move
+            if(this.curr_token.type == TT_TEXT_ANALYSIS || this.curr_token.type == TT_NAG) {
+                this.parseAnnotation(white_move.piece_type !== '' ? white_move : null)
+                continue
+            }
+            // black's move number can follow the annotations (e.g. '1. e4 {comment} 1... e5')
+            if(this.curr_token.type == TT_BLACK_MOVE && !rendering_white) {
+                this.advance()
+                continue
+            }
+            // remember where the move starts so it can be written as it was
+            const move_start = this.token_index
+            // long algebraic and coordinate moves were already made into one token by the lexer
+            // the piece (if not written) is found by the interpreter since it depends on the position
+            if(this.curr_token.type == TT_COORDINATE_MOVE) {
+                const move = (rendering_white ? white_move : black_move)
+                move.piece_type = this.curr_token.piece
+                move.from_square = this.curr_token.from_square
+                move.target_square = this.curr_token.target_square
+                move.from_rank = this.curr_token.promotion
+                this.assertSquares(move.target_square, move.from_square.substring(0, 1), move.from_square.substring(1, 2), move_start)
+                this.advance()
+                move.san = this.tokenText(move_start)
+                this.locate(move, move_start)
+                if(rendering_white) {
+                    rendering_white = false
+                    if(this.curr_token !== null && this.curr_token.type == TT_BLACK_MOVE) {
+                        this.advance()
+                    }
+                    continue
+                }
+                break
+            }
             // check for castle
             if(this.curr_token.type == TT_CASTLE_KING) {
                 if(rendering_white) {
                     white_move.piece_type = 'castle_king'
                     this.advance()
+                    white_move.san = this.tokenText(move_start)
+                    this.locate(white_move, move_start)
                     rendering_white = false
                     // make sure we skip the black move num if its there
                     if(this.curr_token !== null && this.curr_token.type == TT_BLACK_MOVE) {
@@ -772,12 +1375,16 @@ class PGNParser {
                 } else {
                     black_move.piece_type = 'castle_king'
                     this.advance()
+                    black_move.san = this.tokenText(move_start)
+                    this.locate(black_move, move_start)
                 }
                 break
             } else if(this.curr_token.type == TT_CASTLE_QUEEN) {
                 if(rendering_white) {
                     white_move.piece_type = 'castle_queen'
                     this.advance()
+                    white_move.san = this.tokenText(move_start)
+                    this.locate(white_move, move_start)
                     rendering_white = false
                     if(this.curr_token !== null && this.curr_token.type == TT_BLACK_MOVE) {
                         this.advance()
@@ -786,6 +1393,8 @@ class PGNParser {
                 } else {
                     black_move.piece_type = 'castle_queen'
                     this.advance()
+                    black_move.san = this.tokenText(move_start)
+                    this.locate(black_move, move_start)
                 }
                 break
             }
@@ -801,7 +1410,7 @@ class PGNParser {
 
                 // expect a letter
                 if(this.curr_token.type !== TT_LETTER && this.curr_token.type !== TT_NUM) {
-                    throw new ParserError('Expected letter after piece in notation for move')
+                    throw this.parseError('Expected letter after piece in notation for move', move_start)
                 }
                 let f1 = null
                 let f2 = null
@@ -825,7 +1434,7 @@ class PGNParser {
                     this.assertValid()
                     // a letter must follow
                     if(this.curr_token.type !== TT_LETTER) {
-                        throw new ParserError('Invalid notation')
+                        throw this.parseError('Invalid notation', move_start)
                     }
                     f1 = this.curr_token.value
                     this.advance()
@@ -834,26 +1443,31 @@ class PGNParser {
 
                 // finally expect a number
                 if(this.curr_token.type !== TT_NUM) {
-                    throw new ParserError('Invalid notation')
+                    throw this.parseError('Invalid notation', move_start)
                 }
                 r1 = this.curr_token.value
                 this.advance()
+                this.assertSquares(f1 + r1, f2, r2, move_start)
 
                 // check which area we add this data to
                 if(rendering_white) {
                     rendering_white = false
                     white_move.piece_type = piece_char
-                    white_move.target_square = f1 + r1
+                    white_move.target_square = squareName(f1, r1)
                     white_move.from_file = f2
                     white_move.from_rank = r2
+                    white_move.san = this.tokenText(move_start)
+                    this.locate(white_move, move_start)
                     if(this.curr_token !== null && this.curr_token.type == TT_BLACK_MOVE) {
                         this.advance()
                     }
                 } else {
                     black_move.piece_type = piece_char
-                    black_move.target_square = f1 + r1
+                    black_move.target_square = squareName(f1, r1)
                     black_move.from_file = f2
                     black_move.from_rank = r2
+                    black_move.san = this.tokenText(move_start)
+                    this.locate(black_move, move_start)
                     break
                 }
             } else {
@@ -871,7 +1485,7 @@ class PGNParser {
 
                 // expect square
                 if(this.curr_token.type !== TT_LETTER) {
-                    throw new ParserError('Invalid pawn notation')
+                    throw this.parseError('Invalid pawn notation', move_start)
                 }
                 f1 = this.curr_token.value
                 this.advance()
@@ -884,7 +1498,7 @@ class PGNParser {
                     this.assertValid()
                 }
                 if(this.curr_token.type !== TT_NUM) {
-                    throw new ParserError('Invalid pawn notation')
+                    throw this.parseError('Invalid pawn notation', move_start)
                 }
                 r1 = this.curr_token.value
                 this.advance()
@@ -893,35 +1507,53 @@ class PGNParser {
                     this.advance()
                     this.assertValid()
                     if(this.curr_token.type !== TT_LETTER) {
-                        throw new ParserError('Pawn promotion piece not detected')
+                        throw this.parseError('Pawn promotion piece not detected', move_start)
                     }
                     r2 = this.curr_token.value
                     this.advance()
                 }
+                this.assertSquares(f1 + r1, f2, null, move_start)
 
                 // finally we can construct
                 if(rendering_white) {
                     rendering_white = false
                     white_move.piece_type = 'P'
-                    white_move.target_square = f1 + r1
+                    white_move.target_square = squareName(f1, r1)
                     white_move.from_file = f2
                     white_move.from_rank = r2
+                    white_move.san = this.tokenText(move_start)
+                    this.locate(white_move, move_start)
                     if(this.curr_token !== null && this.curr_token.type == TT_BLACK_MOVE) {
                         this.advance()
                     }
                 } else {
                     black_move.piece_type = 'P'
-                    black_move.target_square = f1 + r1
+                    black_move.target_square = squareName(f1, r1)
                     black_move.from_file = f2
                     black_move.from_rank = r2
+                    black_move.san = this.tokenText(move_start)
+                    this.locate(black_move, move_start)
                     break
                 }
             }
         }
 
+        if(white_move.piece_type == '' && black_move.piece_type == '') {
+            throw this.parseError('Expected a move after the move number')
+        }
+
+        // any comments waiting for a move belong to the first move here
+        const first_move = (white_move.piece_type !== '' ? white_move : black_move)
+        first_move.comments_before = this.pending_comments
+        this.pending_comments = []
+        this.last_move = (black_move.piece_type !== '' ? black_move : white_move)
+
         if(black_move.piece_type == '') {
             return new PGNMove(white_move, null)
         }
+        if(white_move.piece_type == '') {
+            return new PGNMove(null, black_move)
+        }
 
         return new PGNMove(white_move, black_move)
     }
@@ -934,18 +1566,18 @@ class PGNParser {
         // it is assumed that the current token is a header token
         // we just need to make sure the value is valid
         if(!(this.curr_token instanceof PGNHeaderToken)) {
-            throw new ParserError('Unexpected error occured while parsing game header data: invalid token')
+            throw this.parseError('Unexpected error occured while parsing game header data: invalid token')
         }
 
         // it is valid as long as the start and end characters are double quotes
         if(this.curr_token.header_value.length <= 1) {
-            throw new ParserError('Data header cannot have an empty value for type: ' + this.curr_token.header_type)
+            throw this.parseError('Data header cannot have an empty value for type: ' + this.curr_token.header_type)
         }
         const start_char = this.curr_token.header_value.substring(0, 1)
         const end_char = this.curr_token.header_value.substring(this.curr_token.value.length - 1)
 
         if(start_char !== "\"" && end_char !== "\"") {
-            throw new ParserError(`Data header "${this.curr_token.header_type}" is missing quotes for its value`)
+            throw this.parseError(`Data header "${this.curr_token.header_type}" is missing quotes for its value`)
         }
 
         // now remove both parts
@@ -958,37 +1590,420 @@ class PGNParser {
         return new PGNDetail(header_t, header_v)
     }
     /**
-     * Parses the tokens
-     * @returns Array<PGNNode>
-     * @throws An error upon parsing
+     * Parses a comment or NAG, adding it to the move it annotates
+     * @param {Object | null} move Required. The move before the annotation (null if no move came before it in the line)
      */
-    parse() {
-        var parsed_data = []
-        // advance
-        this.advance()
+    parseAnnotation(move) {
+        if(this.curr_token.type == TT_NAG) {
+            // a NAG without a move has nothing to annotate
+            if(move !== null) {
+                move.nags.push(Number(this.curr_token.value))
+            }
+        } else if(move !== null) {
+            const comment = this.parseCommands(move, this.curr_token.value)
+            // a comment holding nothing but commands isn't kept
+            if(comment !== '' || this.curr_token.value == '') {
+                move.comments_after.push(comment)
+            }
+        } else {
+            // this comment comes before the move it belongs to
+            this.pending_comments.push(this.curr_token.value)
+        }
 
-        // keep parsing while we still have tokens
-        while(this.curr_token != null) {
-            if(this.curr_token.type == TT_GAME_DATA) {
-                parsed_data.push(this.parseDetail())
-                continue
+        this.advance()
+    }
+    /**
+     * Takes the clock and evaluation commands (e.g. '[%clk 0:03:12]', '[%emt 0:00:05]' or '[%eval 0.34]') out of a comment, putting them on the move
+     * Commands that can't be read are left in the comment
+     * @param {Object} move Required. The move the comment belongs to
+     * @param {String} comment Required. The comment
+     * @returns String, the rest of the comment
+     */
+    parseCommands(move, comment) {
+        return comment.replace(/\[%(clk|emt|eval)\s+([^\]]*?)\s*\]\s*/g, (command, name, value) => {
+            if(name == 'eval') {
+                // centipawns given in pawns (e.g. '-1.25') or moves to mate (e.g. '#-3'), optionally followed by the depth
+                const parts = /^(#)?([+-]?\d+(?:\.\d+)?)(?:,(\d+))?$/.exec(value)
+                if(parts === null || (parts[1] !== undefined && !Number.isInteger(Number(parts[2])))) {
+                    return command
+                }
+                move.evaluation = {
+                    cp: (parts[1] === undefined ? Math.round(Number(parts[2]) * 100) : null),
+                    mate: (parts[1] === undefined ? null : Number(parts[2])),
+                    depth: (parts[3] === undefined ? null : Number(parts[3]))
+                }
+                return ''
+            }
+
+            // times are written as H:MM:SS or M:SS, the seconds may have a fraction
+            if(!/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(value)) {
+                return command
+            }
+            const seconds = value.split(':').reduce((total, part) => total * 60 + Number(part), 0)
+            if(name == 'clk') {
+                move.clock = seconds
+            } else {
+                move.elapsed = seconds
+            }
+            return ''
+        }).trim()
+    }
+    /**
+     * Parses a variation
+     * @returns PGNVariation
+     * @throws An error upon parsing
+     */
+    parseVariation() {
+        // it is assumed that the current token is '('
+        this.advance()
+        // the variation starts a new line, so remember where we were in this one
+        const last_move = this.last_move
+        const pending_comments = this.pending_comments
+        this.last_move = null
+        this.pending_comments = []
+        const nodes = this.parseLine(true)
+        this.last_move = last_move
+        this.pending_comments = pending_comments
+
+        // make sure we terminate correctly
+        if(this.curr_token == null || this.curr_token.type !== TT_VARIATION_END) {
+            throw this.parseError('Unterminated variation: Expected \')\'')
+        }
+        this.advance()
+
+        return new PGNVariation(nodes)
+    }
+    /**
+     * Skips the tokens that couldn't be parsed, up to where parsing can pick up again (a move number, result, tag or variation)
+     * @param {Number} start Required. Index of the token the notation that couldn't be parsed started on
+     */
+    skipUnknown(start) {
+        const resync = new Set([TT_MOVE_NUM, TT_BLACK_MOVE, TT_RES, TT_GAME_DATA, TT_VARIATION_START, TT_VARIATION_END])
+        // always move on by at least one token, so we don't get stuck on the same one
+        if(this.token_index == start && this.curr_token !== null) {
+            this.advance()
+        }
+        while(this.curr_token !== null && !resync.has(this.curr_token.type)) {
+            this.advance()
+        }
+    }
+    /**
+     * Parses a line of moves (the whole game or the moves within a variation)
+     * @param {Boolean} in_variation Required. If the line is a variation, so it stops on ')'
+     * @returns Array<PGNNode>
+     * @throws An error upon parsing (unless recovering, where it is put in diagnostics and skipped)
+     */
+    parseLine(in_variation) {
+        let parsed_data = []
+        while(true) {
+            try {
+                return this.parseLineNodes(in_variation, parsed_data)
+            } catch (error) {
+                if(!this.settings.recover || !(error instanceof ParserError)) {
+                    throw error
+                }
+                // text the lexer couldn't read was already reported by it
+                if(this.curr_token === null || this.curr_token.type !== TT_UNKNOWN) {
+                    this.diagnostics.push(new PGNDiagnostic('error', 'parser_error', error.message, null, error))
+                }
+                const start = this.node_start
+                const tag = this.tokens[start] !== undefined && this.tokens[start].type == TT_GAME_DATA
+                this.skipUnknown(start)
+                // the moves after what was skipped can't be trusted, but a broken tag has nothing to do with the moves
+                if(!tag) {
+                    parsed_data.push(this.locate(new PGNSkipped(this.tokenText(start)), start))
+                }
+            }
+        }
+    }
+    /**
+     * Parses the nodes of a line from the current token until the line ends
+     * @param {Boolean} in_variation Required. If the line is a variation, so it stops on ')'
+     * @param {Array<PGNNode>} parsed_data Required. The nodes parsed so far, which the new ones are added to
+     * @returns Array<PGNNode>
+     * @throws An error upon parsing
+     */
+    parseLineNodes(in_variation, parsed_data) {
+        let black_next = false // if black still has to move after the last move parsed
+
+        // keep parsing while we still have tokens
+        while(this.curr_token != null) {
+            const start = this.token_index
+            this.node_start = start
+            if(this.curr_token.type == TT_VARIATION_END) {
+                if(!in_variation) {
+                    throw this.parseError('Parse Error: Unexpected \')\' without a variation to end')
+                }
+                break
+            }
+
+            if(this.curr_token.type == TT_GAME_DATA) {
+                parsed_data.push(this.locate(this.parseDetail(), start))
+                continue
             } else if(this.curr_token.type == TT_MOVE_NUM) {
                 // parse the move
-                parsed_data.push(this.parseMove())
+                const move = this.locate(this.parseMove(), start)
+                black_next = move.black_move === null
+                parsed_data.push(move)
+                continue
+            } else if(this.curr_token.type == TT_BLACK_MOVE) {
+                // black moves first (e.g. the game started from a position with black to move)
+                parsed_data.push(this.locate(this.parseMove(true), start))
+                black_next = false
+                continue
+            } else if(this.curr_token.type == TT_VARIATION_START) {
+                parsed_data.push(this.locate(this.parseVariation(), start))
+                continue
+            } else if(this.curr_token.type == TT_TEXT_ANALYSIS || this.curr_token.type == TT_NAG) {
+                this.parseAnnotation(this.last_move)
                 continue
             } else if(this.curr_token.type == TT_RES) {
                 // just pass it to the interpreter
-                parsed_data.push(new PGNResult(this.curr_token.value))
+                const result = new PGNResult(this.curr_token.value)
                 this.advance()
+                parsed_data.push(this.locate(result, start))
+                continue
+            } else if(black_next && (this.curr_token.type == TT_LETTER || this.curr_token.type == TT_COORDINATE_MOVE || this.curr_token.type == TT_CASTLE_KING || this.curr_token.type == TT_CASTLE_QUEEN)) {
+                // black's move after a variation, written without its move number
+                parsed_data.push(this.locate(this.parseMove(true, false), start))
+                black_next = false
                 continue
             }
 
             // some strange data...
-            throw new ParserError('Parse Error: Notation is invalid')
+            throw this.parseError('Parse Error: Notation is invalid')
         }
 
         return parsed_data
     }
+    /**
+     * Parses the tokens
+     * @returns Array<PGNNode>
+     * @throws An error upon parsing
+     */
+    parse() {
+        // advance
+        this.advance()
+
+        return this.parseLine(false)
+    }
+}
+
+/**
+ * Everything about a single move that was played
+ */
+class PGNMoveRecord {
+
+    /**
+     * Constructs the record, the rest of the details are filled in by the interpreter
+     * @param {Number} ply Required. Number of half-moves played from the start of the game, including this one
+     * @param {Number} move_number Required. The move number, counted from the start of the game (a different number written in the PGN doesn't change it)
+     * @param {String} color Required. The color that played the move (W|B)
+     * @param {String} san Required. The move as written in the PGN (the interpreter puts in its SAN if it was written in long algebraic or coordinate notation)
+     */
+    constructor(ply, move_number, color, san) {
+        this.ply = ply
+        this.move_number = move_number
+        this.color = color
+        this.san = san
+        this.notation = san // the move as written in the PGN (e.g. 'g1f3' when the SAN is 'Nf3')
+        this.from = null // square the piece moved from (the king's square when castling)
+        this.to = null // square the piece moved to (the king's square when castling)
+        this.piece = null // the piece moved (e.g. 'WN')
+        this.captured = null // the piece captured if any (e.g. 'BP')
+        this.promotion = null // the piece promoted to if any (e.g. 'Q')
+        this.castle = null // 'K' for kingside or 'Q' for queenside castling
+        this.en_passant = false // if the move captured en passant
+        this.check = false // if the move gives check
+        this.mate = false // if the move gives checkmate
+        this.clock = null // seconds left on the player's clock after the move, from a '[%clk]' command
+        this.elapsed = null // seconds spent on the move, from an '[%emt]' command
+        this.evaluation = null // the engine evaluation after the move as {cp, mate, depth}, from an '[%eval]' command
+    }
+}
+
+/**
+ * The game-ending states of a position, both the ones ending the game right away and the ones a draw can be claimed on
+ */
+class PGNPositionStatus {
+
+    /**
+     * Constructs the status, the details are filled in by PGNBoard.makeStatus
+     * (only what the rest comes from is kept, since every position of every game has a status)
+     */
+    constructor() {
+        this.check = false // if the side to move is in check
+        this.can_move = null // if the side to move has a legal move, null until it is needed (see PGNBoard.settleStatus)
+        this.insufficient_material = false // if neither side has the pieces left to checkmate
+        this.repetitions = 1 // how many times this position came up in the game so far (this time included)
+        this.halfmove = 0 // half-moves played since the last capture or pawn move
+    }
+    /**
+     * If the side to move is checkmated
+     * @returns Boolean
+     */
+    get checkmate() {
+        return this.check && this.can_move === false
+    }
+    /**
+     * If the side to move has no legal move but is not in check
+     * @returns Boolean
+     */
+    get stalemate() {
+        return !this.check && this.can_move === false
+    }
+    /**
+     * If a draw can be claimed since the position came up three times
+     * @returns Boolean
+     */
+    get threefold_repetition() {
+        return this.repetitions >= 3
+    }
+    /**
+     * If the game is drawn since the position came up five times
+     * @returns Boolean
+     */
+    get fivefold_repetition() {
+        return this.repetitions >= 5
+    }
+    /**
+     * If a draw can be claimed since 50 moves were played without a capture or pawn move
+     * @returns Boolean
+     */
+    get fifty_moves() {
+        return this.halfmove >= 100
+    }
+    /**
+     * If the game is drawn since 75 moves were played without a capture or pawn move (checkmate on the last move still counts)
+     * @returns Boolean
+     */
+    get seventy_five_moves() {
+        return this.halfmove >= 150 && !this.checkmate
+    }
+    /**
+     * Gets what ended the game in this position, if anything
+     * @returns String | null
+     */
+    ending() {
+        if(this.checkmate) {
+            return 'checkmate'
+        } else if(this.stalemate) {
+            return 'stalemate'
+        } else if(this.insufficient_material) {
+            return 'insufficient material'
+        } else if(this.fivefold_repetition) {
+            return 'fivefold repetition'
+        } else if(this.seventy_five_moves) {
+            return 'the 75-move rule'
+        }
+
+        return null
+    }
+    /**
+     * Checks if the game is over in this position
+     * @returns Boolean
+     */
+    isGameOver() {
+        return this.ending() !== null
+    }
+    /**
+     * Checks if a draw can be claimed in this position (threefold repetition or the 50-move rule)
+     * @returns Boolean
+     */
+    canClaimDraw() {
+        return this.threefold_repetition || this.fifty_moves
+    }
+}
+
+/**
+ * A single position in the move tree (the root is the starting position, every other node is the position after a move)
+ */
+class PGNMoveNode {
+
+    /**
+     * Constructs the node given the move that led to it
+     * @param {PGNMoveNode | null} parent Required. The node before this move (null for the starting position)
+     * @param {Object | null} move Required. The move extracted by the parser (null for the starting position)
+     * @param {String | null} color Required. The color that played the move (null for the starting position)
+     * @param {Number} ply Required. Number of half-moves played from the start of the game
+     * @param {Uint8Array} position Required. The position after the move (see PGNBoard.pieceAt)
+     * @param {Object} state Required. Side to move, castling rights, en passant square and move counters of the position
+     * @param {PGNMoveRecord | null} [record=null] Optional. Details of the move played
+     */
+    constructor(parent, move, color, ply, position, state, record = null) {
+        this.parent = parent
+        this.children = [] // the first child continues this line, any others are variations
+        this.move = move
+        this.color = color
+        this.ply = ply
+        this.position = position
+        this.state = state
+        this.record = record
+        this.status = null // game-ending states of the position (see PGNPositionStatus)
+        this.hash = null // 64-bit Zobrist hash of the position as a BigInt (see PGNBoard.makeHash)
+        this.en_passant = '-' // the en passant square if a pawn can really capture there (see PGNBoard.enPassantCapture)
+    }
+    /**
+     * Gets the position after the move in the shape of memory_boards
+     * @returns Array<Array<String>>
+     */
+    get board() {
+        return makeBoardView(this.position)
+    }
+    /**
+     * Checks if this node is on the main line of the game
+     * @returns Boolean
+     */
+    isMainline() {
+        let node = this
+        while(node.parent !== null) {
+            if(node.parent.children[0] !== node) {
+                return false
+            }
+            node = node.parent
+        }
+
+        return true
+    }
+    /**
+     * Gets the node continuing this line, if any
+     * @returns PGNMoveNode | null
+     */
+    next() {
+        return (this.children.length > 0 ? this.children[0] : null)
+    }
+    /**
+     * Gets the nodes continuing this line until it ends (this node not included)
+     * @returns Array<PGNMoveNode>
+     */
+    mainline() {
+        let nodes = []
+        let node = this.next()
+        while(node !== null) {
+            nodes.push(node)
+            node = node.next()
+        }
+
+        return nodes
+    }
+    /**
+     * Gets the first node of every variation branching off after this position
+     * @returns Array<PGNMoveNode>
+     */
+    variations() {
+        return this.children.slice(1)
+    }
+    /**
+     * Gets the other moves that were possible instead of this one
+     * @returns Array<PGNMoveNode>
+     */
+    siblings() {
+        if(this.parent === null) {
+            return []
+        }
+
+        return this.parent.children.filter((n) => n !== this)
+    }
 }
 
 /**
@@ -1000,762 +2015,3549 @@ class PGNBoard {
      * Empty default constructor
      */
     constructor() {
-        this.memory_boards = []
+        this.memory_positions = [] // every position as 64 piece codes (see pieceAt), memory_boards gives them as 8x8 arrays
+        this.memory_states = [] // side to move, castling rights, en passant square and move counters for each memory board
+        this.memory_moves = [null] // the move record leading to each memory board (the starting position has none)
+        this.memory_status = [] // game-ending states of each memory board (see PGNPositionStatus)
+        this.memory_hashes = [] // Zobrist hash of each memory board (see makeHash)
+        this.diagnostics = [] // problems found while reading that didn't stop the game from being read (see PGNDiagnostic)
         this.key_position = 0
-        this.header = {}
-        this.result_str = '0-0' // default since we don't know yet what happened in the game
+        this.header = {} // tag values by lowercased name (a repeated tag keeps its last value)
+        this.tags = [] // every tag pair as {name, value} in the order it was read, with its name as written
+        this.result_str = '*' // default since we don't know yet what happened in the game
+        this.result = RESULT_UNKNOWN // the result as one of RESULT_WHITE_WIN, RESULT_BLACK_WIN, RESULT_DRAW or RESULT_UNKNOWN
+        this.chess960 = false // if the game is Chess960 (read from the Variant tag)
         this.en_passant = false // INTERNAL USE ONLY!
+        this.position_pool = null // INTERNAL USE ONLY! the buffer positions are kept in (see keepPosition)
+        this.position_pool_used = 0 // INTERNAL USE ONLY!
+        this.positions_version = 0 // INTERNAL USE ONLY! counts the changes to memory_positions (see forgetBoards)
 
         // first item should be inital position
-        this.memory_boards.push(this.makeStartingPosition())
+        this.memory_positions.push(this.makeStartingPosition())
+        this.memory_states.push({turn: 'W', castling: 'KQkq', en_passant: '-', halfmove: 0, fullmove: 1})
+        this.memory_hashes.push(this.makeHash(this.memory_positions[0], this.memory_states[0]))
+        this.memory_status.push(this.makeStatus(this.memory_positions[0], this.memory_states[0], null, true, this.memory_hashes[0]))
+        // the root of the move tree, holding the main line along with all variations
+        this.root = new PGNMoveNode(null, null, null, 0, this.memory_positions[0], this.memory_states[0])
+        this.root.status = this.memory_status[0]
+        this.root.hash = this.memory_hashes[0]
     }
     /**
-     * Constructs the starting position of the board
+     * Gets every position of the main line as an 8x8 array of rows from the first rank,
+     * with 'WP', 'BK', etc. for the pieces and '&nbsp;' for empty squares.
+     * The positions themselves are kept in memory_positions, this only views them (the boards are frozen)
+     * @returns Array<Array<Array<String>>>
      */
-    makeStartingPosition() {
-        let pos = new Array(8)
-        for(var i = 0; i < pos.length; i++) {
-            pos[i] = new Array(8)
-            for(var z = 0; z < 8; z++) {
-                pos[i][z] = '&nbsp;'
-            }
+    get memory_boards() {
+        // the list is kept until memory_positions changes, so going through it by index doesn't make it again every time
+        let list = BOARD_LISTS.get(this.memory_positions)
+        if(list === undefined || list.version !== this.positions_version) {
+            list = {version: this.positions_version, boards: Object.freeze(this.memory_positions.map(makeBoardView))}
+            BOARD_LISTS.set(this.memory_positions, list)
         }
 
-        // index 0-1 = white set up && 6-7 = black set up
-        for(var i = 0; i < pos[1].length; i++) {
-            pos[1][i] = 'WP'
-            pos[6][i] = 'BP'
+        return list.boards
+    }
+    /**
+     * Marks memory_boards as last made out of date, once memory_positions changed
+     */
+    forgetBoards() {
+        this.positions_version += 1
+    }
+    /**
+     * Copies a position into a buffer kept by the board, so the positions of a game share a few buffers instead of having one each
+     * @param {Uint8Array} bd Required. The position
+     * @returns Uint8Array, the copy
+     */
+    keepPosition(bd) {
+        if(this.position_pool === null || this.position_pool_used == this.position_pool.length) {
+            // each buffer holds twice as many positions as the last one (up to 64), so little of it is left unused after a short game
+            const size = (this.position_pool === null ? 16 : Math.min(this.position_pool.length / 32, 64))
+            this.position_pool = new Uint8Array(size * 64)
+            this.position_pool_used = 0
         }
 
-        const order = ['R', 'N', 'B', 'Q', 'K', 'B', 'N', 'R']
-        for(var i = 0; i < 8; i++) {
-            pos[0][i] = `W${order[i]}`
-            pos[7][i] = `B${order[i]}`
+        const position = this.position_pool.subarray(this.position_pool_used, this.position_pool_used + 64)
+        position.set(bd)
+        this.position_pool_used += 64
+        return position
+    }
+    /**
+     * Gets the piece on a square of a position
+     * @param {Uint8Array} bd Required. The position
+     * @param {Number} file Required. Index of the file
+     * @param {Number} rank Required. Index of the rank
+     * @returns String, the piece (e.g. 'WP' or 'BK'), or '' for an empty square
+     */
+    pieceAt(bd, file, rank) {
+        return PIECE_NAMES[bd[rank * 8 + file]]
+    }
+    /**
+     * Puts a piece on a square of a position
+     * @param {Uint8Array} bd Required. The position
+     * @param {Number} file Required. Index of the file
+     * @param {Number} rank Required. Index of the rank
+     * @param {String} piece Required. The piece (e.g. 'WP' or 'BK'), anything else empties the square
+     */
+    setPiece(bd, file, rank, piece) {
+        bd[rank * 8 + file] = (PIECE_CODES.get(piece) || 0)
+    }
+    /**
+     * Makes a position out of a board in the shape of memory_boards, so older boards can still be given to the methods taking a position
+     * @param {Uint8Array | Array<Array<String>>} bd Required. The position, or the board
+     * @returns Uint8Array
+     */
+    toPosition(bd) {
+        if(bd instanceof Uint8Array) {
+            return bd
         }
 
-        return pos
+        let position = new Uint8Array(64)
+        for(var r = 0; r < 8; r++) {
+            for(var f = 0; f < 8; f++) {
+                this.setPiece(position, f, r, bd[r][f])
+            }
+        }
+        return position
     }
     /**
-     * Moves a piece from a square to a square
-     * @param {String} from A two character string representing the square
-     * @param {String} to Same as from
-     * @param {Array<Array<String>>} bd Required. The memory board
-     * @param {null} [promote=null] Optional. If the move is a pawn promotion, and the target square should be replaced with the given piece
-     * @returns The newly constructed memory board
+     * Gets the node in the move tree of a position on the main line
+     * @param {Number} [index=this.key_position] Optional. Index of the position in memory_boards
+     * @returns PGNMoveNode | null
      */
-    move(from, to, bd, promote = null) {
-        const posf = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
-        const ff = posf.indexOf(from.substring(0, 1).toLowerCase())
-        const fr = Number(from.substring(1, 2)) - 1
-        const tf = posf.indexOf(to.substring(0, 1).toLowerCase())
-        const tr = Number(to.substring(1, 2)) - 1
-
-        const piece_before = bd[fr][ff]
-        bd[fr][ff] = '&nbsp;'
-        bd[tr][tf] = piece_before
-        if(promote !== null) {
-            bd[tr][tf] = piece_before.substring(0, 1) + promote
+    getNode(index = this.key_position) {
+        let node = this.root
+        for(var i = 0; i < index && node !== null; i++) {
+            node = node.next()
         }
 
-        // check ep inf
-        if(this.en_passant) {
-            this.en_passant = false
-            // take lower rank and remove piece from there
-            bd[fr][tf] = '&nbsp;'
+        return node
+    }
+    /**
+     * Gets the value of a tag (if the tag is repeated, its last value)
+     * @param {String} name Required. The name of the tag, in any case
+     * @returns String | null
+     */
+    getTag(name) {
+        const value = this.header[name.toLowerCase()]
+        return (value === undefined ? null : value)
+    }
+    /**
+     * Gets every value given to a tag, in the order they were read
+     * @param {String} name Required. The name of the tag, in any case
+     * @returns Array<String>
+     */
+    getTags(name) {
+        const key = name.toLowerCase()
+        return this.tags.filter(tag => tag.name.toLowerCase() == key).map(tag => tag.value)
+    }
+    /**
+     * Gets a date tag as numbers, where unknown parts ('??') are null
+     * @param {String} [name='Date'] Optional. The name of the tag (e.g. 'EventDate' or 'UTCDate')
+     * @returns {year: Number | null, month: Number | null, day: Number | null} | null if the tag is missing or isn't a date (or a day that doesn't exist)
+     */
+    getDate(name = 'Date') {
+        const value = this.getTag(name)
+        const parts = (value === null ? null : /^(\d{4}|\?{4})\.(\d{2}|\?{2})\.(\d{2}|\?{2})$/.exec(value.trim()))
+        if(parts === null) {
+            return null
+        }
+        const number = (part) => (part.startsWith('?') ? null : Number(part))
+        const date = {year: number(parts[1]), month: number(parts[2]), day: number(parts[3])}
+        if(date.month !== null && (date.month < 1 || date.month > 12)) {
+            return null
+        }
+        // the day has to be in the month (any month if it isn't known, and February has 29 days if the year isn't known)
+        const leap = date.year === null || (date.year % 4 == 0 && (date.year % 100 != 0 || date.year % 400 == 0))
+        const days = (date.month === null ? 31 : [31, (leap ? 29 : 28), 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][date.month - 1])
+        if(date.day !== null && (date.day < 1 || date.day > days)) {
+            return null
         }
 
-        return bd
+        return date
     }
     /**
-     * Gets a fresh board of the current position for editing
+     * Gets the rating of a player from the WhiteElo or BlackElo tag
+     * @param {String} color Required. The player ('W' or 'B')
+     * @returns Number | null if the tag is missing or the player has no rating (e.g. '-' or '?')
      */
-    fresh() {
-        const a = this.memory_boards[this.memory_boards.length - 1]
-        // we must make a deep copy
-        let b = new Array(8)
-        for(var i = 0; i < 8; i++) {
-            b[i] = [...a[i]]
+    getElo(color) {
+        const value = this.getTag(color == 'W' ? 'WhiteElo' : 'BlackElo')
+        return (value !== null && /^\d+$/.test(value.trim()) ? Number(value) : null)
+    }
+    /**
+     * Gets the Round tag as numbers, so '3.1' (round 3, board 1) gives [3, 1]
+     * @returns Array<Number> | null if the tag is missing, unknown ('?'), not relevant ('-') or not a round number
+     */
+    getRound() {
+        const value = this.getTag('Round')
+        if(value === null || !/^\d+(\.\d+)*$/.test(value.trim())) {
+            return null
         }
 
-        return b
+        return value.trim().split('.').map(Number)
     }
     /**
-     * Finds a pawn that can go to to target square given the fresh board
-     * @param {String} from_file Required. A one character string representing the starting file of the pawn
-     * @param {String} target_square Required. The full target square
-     * @param {String} color Required. The color (W|B)
-     * @returns Array<String>
+     * Gets the time control periods from the TimeControl tag (e.g. '40/7200:3600+30' gives two periods)
+     * Each period is {moves, seconds, increment, sandclock}, where moves is null for the rest of the game
+     * @returns Array<Object> | null if the tag is missing, unknown ('?') or invalid. An untimed game ('-') has no periods
      */
-    findPawn(from_file, target_square, color) {
-        let bd = this.fresh()
-        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
-        // go through bd and find pawn that can get to target square
-        const file_loc = files.indexOf(from_file)
-        let from_rank = Number(target_square.substring(1, 2))
-        if(color == "W") {
-            from_rank -= 1 // for making a more accurate index
-            // if we have any piece behind this rank, it is simply impossible for the pawn to 'jump' to that rank
-            // we also skip this if the piece was captured on that square
-            if(bd[from_rank][file_loc] == '&nbsp;' && from_file.toLowerCase() == target_square.substring(0, 1).toLowerCase()) {
-                // we automatically assume that by the time this condition is touched, the move simply could not have possible been a capture
-                // so just check the two lower squares
-                if(bd[from_rank - 1][file_loc] == 'WP') {
-                    // found!
-                    return [from_file, from_rank]
-                } else {
-                    // since the move is not a capture, target rank must = 4 && pawn at target file and rank 2 moved
-                    if(from_rank - 1 == 2) {
-                        return [from_file, from_rank - 1]
-                    }
-                }
-            }
-            // do nothing!
-        } else {
-            // we will repeat the exact same process as done above
-            // we don't need to increment rank since in theory the number already represents the index properly
-            if(bd[from_rank - 1][file_loc] == '&nbsp;' && from_file.toLowerCase() == target_square.substring(0, 1).toLowerCase()) {
-                if(bd[from_rank][file_loc] == 'BP') { // we make '+' since black panws go the other direction
-                    return [from_file, from_rank + 1]
-                }
-                if(from_rank + 2 == 7) {
-                    return [from_file, from_rank + 2]
-                }
+    getTimeControl() {
+        const value = this.getTag('TimeControl')
+        if(value === null || value.trim() == '?') {
+            return null
+        }
+        if(value.trim() == '-') {
+            return []
+        }
+
+        let periods = []
+        const descriptors = value.trim().split(':')
+        for(var i = 0; i < descriptors.length; i++) {
+            // moves/seconds, seconds+increment, seconds or *seconds (sandclock)
+            const parts = /^(?:(\d+)\/)?(\*)?(\d+)(?:\+(\d+))?$/.exec(descriptors[i])
+            if(parts === null || (parts[2] !== undefined && (parts[1] !== undefined || parts[4] !== undefined))) {
+                return null
             }
+            periods.push({
+                moves: (parts[1] === undefined ? null : Number(parts[1])),
+                seconds: Number(parts[3]),
+                increment: (parts[4] === undefined ? 0 : Number(parts[4])),
+                sandclock: (parts[2] !== undefined)
+            })
         }
 
-        if(from_file.toLowerCase() == target_square.substring(0, 1).toLowerCase()) {
-            // return what we have right now
-            return [from_file, from_rank.toString()]
+        return periods
+    }
+    /**
+     * Gets how the game ended from the Termination tag
+     * @returns String | null, one of TERMINATION_TYPES (e.g. 'normal' or 'time forfeit'), or null if the tag is missing or not a standard value
+     */
+    getTermination() {
+        const value = this.getTag('Termination')
+        const termination = (value === null ? null : value.trim().toLowerCase().replace(/\s+/g, ' '))
+        return (TERMINATION_TYPES.has(termination) ? termination : null)
+    }
+    /**
+     * Constructs the starting position of the board
+     * @param {String} [back_rank='RNBQKBNR'] Optional. The pieces on the first rank from the a-file to the h-file (e.g. 'BBQNNRKR' for a Chess960 position)
+     */
+    makeStartingPosition(back_rank = 'RNBQKBNR') {
+        let pos = new Uint8Array(64)
+
+        // rank 0-1 = white set up && 6-7 = black set up
+        for(var i = 0; i < 8; i++) {
+            this.setPiece(pos, i, 1, 'WP')
+            this.setPiece(pos, i, 6, 'BP')
         }
 
-        // now we have to locate this pawn
-        // our capture could have been en-passant or just a normal pawn capture
-        if(color == "W") {
-            // check first level rank
-            const bd_level = bd[from_rank - 1]
-            // get location of final square
-            const tf_loc = files.indexOf(target_square.substring(0, 1))
-            // if we see a black pawn adjacent to our current, then we have enpassant
-            if(bd_level[tf_loc] == 'BP') {
-                this.en_passant = true
-            }
-            return [from_file, from_rank]
-        } else {
-            // same operation is W
-            const bd_level = bd[from_rank]
-            const tf_loc = files.indexOf(target_square.substring(0, 1))
-            if(bd_level[tf_loc] == 'WP') {
-                this.en_passant = true
-            }
-            return [from_file, from_rank + 1]
+        const order = back_rank.split('')
+        for(var i = 0; i < 8; i++) {
+            this.setPiece(pos, i, 0, `W${order[i]}`)
+            this.setPiece(pos, i, 7, `B${order[i]}`)
         }
 
-        return null // no valid pawn exists
+        return pos
     }
     /**
-     * A helper function for findKing. Checks if the king exists on the given square information
-     * @param {Number} check_file Required. Index of file to check
-     * @param {Number} check_rank Required. Index of rank to check
-     * @param {String} color Required. Color of king
-     * @returns Boolean
+     * Sets up the starting position (the first memory board) given an FEN
+     * @param {String} fen Required. The FEN describing the position
+     * @returns Object consisting of keys: turn, castling, en_passant, halfmove, fullmove
+     * @throws An error if the FEN is invalid
      */
-    kingExists(check_file, check_rank, color) {
-        // make sure file and rank are in founds
-        if(check_file < 0 || check_file >= 8) {
-            return false
+    loadFEN(fen) {
+        const fields = fen.trim().split(/\s+/)
+        // the move counters are sometimes left out, so we only need the first four fields
+        if(fields.length < 4 || fields.length > 6) {
+            throw new InterpretError(`Invalid FEN "${fen}": expected 6 fields separated by spaces`)
         }
-        if(check_rank < 0 || check_rank >= 8) {
-            return false
+
+        const rows = fields[0].split('/')
+        if(rows.length !== 8) {
+            throw new InterpretError(`Invalid FEN "${fen}": expected 8 ranks`)
+        }
+        let pos = new Uint8Array(64)
+        let kings = {W: 0, B: 0}
+        for(var i = 0; i < 8; i++) {
+            // the FEN starts with the 8th rank
+            const rank = 7 - i
+            let file = 0
+            for(var z = 0; z < rows[i].length; z++) {
+                const c = rows[i].substring(z, z + 1)
+                if(c >= '1' && c <= '8') {
+                    file += Number(c)
+                    continue
+                }
+                if(!'pnbrqk'.includes(c.toLowerCase())) {
+                    throw new InterpretError(`Invalid FEN "${fen}": unknown piece "${c}"`)
+                }
+                const color = (c == c.toUpperCase() ? 'W' : 'B')
+                if(c.toUpperCase() == 'K') {
+                    kings[color] += 1
+                }
+                if(file < 8) {
+                    this.setPiece(pos, file, rank, color + c.toUpperCase())
+                }
+                file += 1
+            }
+            if(file !== 8) {
+                throw new InterpretError(`Invalid FEN "${fen}": rank ${rank + 1} does not have 8 squares`)
+            }
+        }
+        if(kings.W !== 1 || kings.B !== 1) {
+            throw new InterpretError(`Invalid FEN "${fen}": each side must have exactly one king`)
+        }
+
+        // now the rest of the fields
+        if(fields[1] !== 'w' && fields[1] !== 'b') {
+            throw new InterpretError(`Invalid FEN "${fen}": side to move must be 'w' or 'b'`)
+        }
+        if(!/^(-|[KQA-H]{0,2}[kqa-h]{0,2})$/.test(fields[2]) || fields[2] == '') {
+            throw new InterpretError(`Invalid FEN "${fen}": invalid castling rights "${fields[2]}"`)
+        }
+        const castling = this.readCastling(fields[2], pos, fen)
+        if(!/^(-|[a-h][36])$/.test(fields[3])) {
+            throw new InterpretError(`Invalid FEN "${fen}": invalid en passant square "${fields[3]}"`)
+        }
+        const halfmove = (fields.length > 4 ? fields[4] : '0')
+        const fullmove = (fields.length > 5 ? fields[5] : '1')
+        if(!/^\d+$/.test(halfmove) || !/^\d+$/.test(fullmove) || Number(fullmove) < 1) {
+            throw new InterpretError(`Invalid FEN "${fen}": invalid move counters`)
         }
 
-        return this.memory_boards[this.memory_boards.length - 1][check_rank][check_file] == `${color}K`
+        this.memory_positions[0] = pos
+        this.forgetBoards()
+        this.memory_states[0] = {
+            turn: fields[1].toUpperCase(),
+            castling: castling,
+            en_passant: fields[3],
+            halfmove: Number(halfmove),
+            fullmove: Number(fullmove)
+        }
+        this.memory_hashes[0] = this.makeHash(pos, this.memory_states[0])
+        this.memory_status[0] = this.makeStatus(pos, this.memory_states[0], null, true, this.memory_hashes[0])
+        this.root.position = pos
+        this.root.state = this.memory_states[0]
+        this.root.status = this.memory_status[0]
+        this.root.hash = this.memory_hashes[0]
+        this.root.en_passant = this.enPassantCapture(pos, this.memory_states[0])
+        return this.memory_states[0]
     }
     /**
-     * Finds what square the king is on the given color on the fresh board
-     * @param {String} target_file Required. The target file
-     * @param {String} target_rank Required. The target rank
-     * @param {String} color Required. A one character string to represent the color
+     * Reads the castling rights of an FEN. Standard games keep the usual 'KQkq' letters,
+     * while Chess960 games name the file of each castling rook (as in Shredder-FEN, e.g. 'HBhb'),
+     * so X-FEN rights ('K' meaning the outermost rook on the kingside) are changed into files
+     * @param {String} castling Required. The castling field of the FEN
+     * @param {Uint8Array} bd Required. The position of the FEN
+     * @param {String} fen Required. The whole FEN (for errors)
      * @returns String
+     * @throws An error if a right doesn't fit the position
      */
-    findKing(target_file, target_rank, color) {
+    readCastling(castling, bd, fen) {
+        if(castling == '-') {
+            return castling
+        }
         const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
+        let rights = ''
+        for(var i = 0; i < castling.length; i++) {
+            const c = castling.substring(i, i + 1)
+            const color = (c == c.toUpperCase() ? 'W' : 'B')
+            const upper = c.toUpperCase()
+            if(!this.chess960) {
+                // Shredder-FEN rights for the corner rooks are the same as the usual ones
+                if(upper !== 'K' && upper !== 'Q' && upper !== 'H' && upper !== 'A') {
+                    throw new InterpretError(`Invalid FEN "${fen}": castling right "${c}" is only possible in Chess960 (see the Variant tag)`)
+                }
+                const right = (upper == 'K' || upper == 'H' ? 'K' : 'Q')
+                rights += (color == 'W' ? right : right.toLowerCase())
+                continue
+            }
 
-        const tf_loc = files.indexOf(target_file)
-        const tr_loc = Number(target_rank) - 1
+            const rank = (color == 'W' ? 0 : 7)
+            const king_file = this.findOnRank(bd, rank, `${color}K`)
+            if(king_file == -1) {
+                throw new InterpretError(`Invalid FEN "${fen}": castling right "${c}" is given but the king is not on its first rank`)
+            }
+            let rook_file = -1
+            if(upper == 'K') {
+                // the outermost rook on the kingside
+                for(var f = 7; f > king_file && rook_file == -1; f--) {
+                    rook_file = (this.pieceAt(bd, f, rank) == `${color}R` ? f : -1)
+                }
+            } else if(upper == 'Q') {
+                // the outermost rook on the queenside
+                for(var f = 0; f < king_file && rook_file == -1; f++) {
+                    rook_file = (this.pieceAt(bd, f, rank) == `${color}R` ? f : -1)
+                }
+            } else if(this.pieceAt(bd, files.indexOf(c.toLowerCase()), rank) == `${color}R`) {
+                rook_file = files.indexOf(c.toLowerCase())
+            }
+            if(rook_file == -1) {
+                throw new InterpretError(`Invalid FEN "${fen}": castling right "${c}" is given but there is no rook for it`)
+            }
+            rights += (color == 'W' ? files[rook_file].toUpperCase() : files[rook_file])
+        }
 
-        // look for squares around the target to find king
-        const squares_check = [
-            [tf_loc - 1, tr_loc], // left side
-            [tf_loc + 1, tr_loc], // right side
-            [tf_loc, tr_loc + 1], // upper side
-            [tf_loc, tr_loc - 1], // lower side
-            [tf_loc - 1, tr_loc + 1], // upper left
-            [tf_loc + 1, tr_loc + 1], // upper right
-            [tf_loc - 1, tr_loc - 1], // lower left
-            [tf_loc + 1, tr_loc - 1] // lower right
-        ]
+        return rights
+    }
+    /**
+     * Gets the FEN of a position in memory_boards
+     * @param {Number} [index=this.key_position] Optional. Index of the position in memory_boards
+     * @returns String | null
+     */
+    getFEN(index = this.key_position) {
+        if(index < 0 || index >= this.memory_positions.length) {
+            return null
+        }
 
-        for(var i = 0; i < squares_check.length; i++) {
-            if(this.kingExists(squares_check[i][0], squares_check[i][1], color)) {
-                return files[squares_check[i][0]] + (squares_check[i][1] + 1)
+        return this.makeFEN(this.memory_positions[index], this.memory_states[index])
+    }
+    /**
+     * Makes the FEN of any position (e.g. the position and state of a node in the move tree)
+     * @param {Uint8Array | Array<Array<String>>} bd Required. The position (or a board in the shape of memory_boards)
+     * @param {Object} state Required. Side to move, castling rights, en passant square and move counters
+     * @returns String
+     */
+    makeFEN(bd, state) {
+        bd = this.toPosition(bd)
+        let rows = []
+        // the FEN starts with the 8th rank
+        for(var r = 7; r >= 0; r--) {
+            let row = ''
+            let empty = 0
+            for(var f = 0; f < 8; f++) {
+                const piece = this.pieceAt(bd, f, r)
+                if(this.isEmptySquare(piece)) {
+                    empty += 1
+                    continue
+                }
+                if(empty > 0) {
+                    row += String(empty)
+                    empty = 0
+                }
+                const letter = piece.substring(1, 2)
+                row += (piece.substring(0, 1) == 'W' ? letter.toUpperCase() : letter.toLowerCase())
+            }
+            if(empty > 0) {
+                row += String(empty)
             }
+            rows.push(row)
         }
-        
-        return null // impossible to reach since the king must exist in the position
+
+        return `${rows.join('/')} ${state.turn.toLowerCase()} ${state.castling} ${state.en_passant} ${state.halfmove} ${state.fullmove}`
     }
     /**
-     * Finds what square the rook is on given the color and target square information
-     * @param {String} target_file Required. The target file
-     * @param {String} target_rank Required. The target rank
-     * @param {String} color Required. The color
-     * @param {String} specification Required. If the notation specified any specifications
-     * @param {string} [p_check='R'] INTERNAL USE ONLY!
-     * @returns String
+     * Moves a piece from a square to a square
+     * @param {String} from A two character string representing the square
+     * @param {String} to Same as from
+     * @param {Uint8Array} bd Required. The position
+     * @param {null} [promote=null] Optional. If the move is a pawn promotion, and the target square should be replaced with the given piece
+     * @returns The newly constructed position
      */
-    findRook(target_file, target_rank, color, specification, p_check = 'R') {
+    move(from, to, bd, promote = null) {
+        const posf = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
+        const ff = posf.indexOf(from.substring(0, 1).toLowerCase())
+        const fr = Number(from.substring(1, 2)) - 1
+        const tf = posf.indexOf(to.substring(0, 1).toLowerCase())
+        const tr = Number(to.substring(1, 2)) - 1
+
+        const piece_before = this.pieceAt(bd, ff, fr)
+        this.setPiece(bd, ff, fr, '')
+        this.setPiece(bd, tf, tr, piece_before)
+        if(promote !== null) {
+            this.setPiece(bd, tf, tr, piece_before.substring(0, 1) + promote)
+        }
+
+        // check ep inf
+        if(this.en_passant) {
+            this.en_passant = false
+            // take lower rank and remove piece from there
+            this.setPiece(bd, tf, fr, '')
+        }
+
+        return bd
+    }
+    /**
+     * Gets a fresh copy of the current position for editing
+     * @returns Uint8Array
+     */
+    fresh() {
+        return this.memory_positions[this.memory_positions.length - 1].slice()
+    }
+    /**
+     * Checks if the given board value represents an empty square ('' from pieceAt, or '&nbsp;' and ' ' from older boards)
+     * @param {String} piece Required. The value on the board
+     * @returns Boolean
+     */
+    isEmptySquare(piece) {
+        return piece == '&nbsp;' || piece == '' || piece == ' '
+    }
+    /**
+     * Converts a square (e.g. 'e4') into its file and rank index on the board
+     * @param {String} square Required. A two character string representing the square
+     * @returns Array<Number>
+     */
+    squareToIndex(square) {
         const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
-        const tf_loc = files.indexOf(target_file)
-        const tr_loc = Number(target_rank) - 1
-        const bd = this.fresh()
+        return [files.indexOf(square.substring(0, 1).toLowerCase()), Number(square.substring(1, 2)) - 1]
+    }
+    /**
+     * Converts a file and rank index back into a square
+     * @param {Number} file Required. Index of the file
+     * @param {Number} rank Required. Index of the rank
+     * @returns String
+     */
+    indexToSquare(file, rank) {
+        return SQUARE_NAMES[rank * 8 + file]
+    }
+    /**
+     * Finds the king of the given color on a board
+     * @param {Uint8Array} bd Required. The position to search
+     * @param {String} color Required. The color (W|B)
+     * @returns Array<Number> | null
+     */
+    findKingSquare(bd, color) {
+        const square = bd.indexOf(PIECE_CODES.get(`${color}K`))
+        return (square == -1 ? null : [square % 8, Math.floor(square / 8)])
+    }
+    /**
+     * Finds the first file of a rank holding the given piece
+     * @param {Uint8Array} bd Required. The position to search
+     * @param {Number} rank Required. Index of the rank
+     * @param {String} piece Required. The piece (e.g. 'WK')
+     * @returns Number, the index of the file, or -1 if the piece isn't on the rank
+     */
+    findOnRank(bd, rank, piece) {
+        return bd.subarray(rank * 8, rank * 8 + 8).indexOf(PIECE_CODES.get(piece))
+    }
+    /**
+     * Checks if the piece standing on the from square could move to the target square by its movement rules.
+     * Pawns are not handled here since they move differently when capturing
+     * @param {Uint8Array} bd Required. The position
+     * @param {Number} from_file Required. Index of the starting file
+     * @param {Number} from_rank Required. Index of the starting rank
+     * @param {Number} to_file Required. Index of the target file
+     * @param {Number} to_rank Required. Index of the target rank
+     * @returns Boolean
+     */
+    pieceCanReach(bd, from_file, from_rank, to_file, to_rank) {
+        const piece = this.pieceAt(bd, from_file, from_rank).substring(1, 2)
+        const df = to_file - from_file
+        const dr = to_rank - from_rank
+        if(df == 0 && dr == 0) {
+            return false
+        }
 
-        // we don't have to run through the whole board
-        // lets use logic
+        if(piece == 'N') {
+            return (Math.abs(df) == 1 && Math.abs(dr) == 2) || (Math.abs(df) == 2 && Math.abs(dr) == 1)
+        } else if(piece == 'K') {
+            return Math.abs(df) <= 1 && Math.abs(dr) <= 1
+        }
 
-        // first check the rank of the target square
-        // check for any rooks on that rank
-        const r_check = bd[tr_loc]
-        for(var i = 0; i < 8; i++) {
-            if(r_check[i] == `${color}${p_check}`) {
-                // check for specification
-                if(specification == null) {
-                    // the last thing we have to check is if the rook can actually get to the square
-                    // in other words, we just have to make sure none of the pieces are in front of it
+        // sliding pieces need a straight or diagonal line to the target
+        const straight = df == 0 || dr == 0
+        const diagonal = Math.abs(df) == Math.abs(dr)
+        if(piece == 'R' && !straight) {
+            return false
+        }
+        if(piece == 'B' && !diagonal) {
+            return false
+        }
+        if(piece == 'Q' && !straight && !diagonal) {
+            return false
+        }
+        if(piece !== 'R' && piece !== 'B' && piece !== 'Q') {
+            return false
+        }
 
-                    let squares_ok = true
-                    if(tf_loc < i) {
-                        // check all squares between (tf_loc,i)
-                        for(var z = tf_loc + 1; z < i; z++) {
-                            if(r_check[z] !== '&nbsp;') {
-                                // doesn't work anymore
-                                squares_ok = false
-                                break
-                            }
-                        }
-                    } else {
-                        // check all squares between (i, tf_loc)
-                        for(var z = i + 1; z < tf_loc; z++) {
-                            if(r_check[z] !== '&nbsp;') {
-                                squares_ok = false
-                                break
-                            }
-                        }
-                    }
+        // make sure nothing stands in between
+        const step_f = Math.sign(df)
+        const step_r = Math.sign(dr)
+        var f = from_file + step_f
+        var r = from_rank + step_r
+        while(f != to_file || r != to_rank) {
+            if(bd[r * 8 + f] !== 0) {
+                return false
+            }
+            f += step_f
+            r += step_r
+        }
 
-                    // check status
-                    if(!squares_ok) {
-                        continue // look for another rook
-                    }
+        return true
+    }
+    /**
+     * Checks if a square is attacked by any piece of the given color
+     * @param {Uint8Array} bd Required. The position
+     * @param {Number} file Required. Index of the file of the square
+     * @param {Number} rank Required. Index of the rank of the square
+     * @param {String} by_color Required. The color of the attacking side (W|B)
+     * @returns Boolean
+     */
+    isSquareAttacked(bd, file, rank, by_color) {
+        // pawns attack diagonally towards the opponent
+        const pawn_rank = (by_color == 'W' ? rank - 1 : rank + 1)
+        if(pawn_rank >= 0 && pawn_rank < 8) {
+            if(file - 1 >= 0 && this.pieceAt(bd, file - 1, pawn_rank) == `${by_color}P`) {
+                return true
+            }
+            if(file + 1 < 8 && this.pieceAt(bd, file + 1, pawn_rank) == `${by_color}P`) {
+                return true
+            }
+        }
 
-                    // we found the rook!
-                    return files[i] + target_rank
+        // the other pieces are looked for from the square, along the steps they move by
+        // (the first piece met along a line is the only one that can attack through it)
+        const queen = PIECE_CODES.get(`${by_color}Q`)
+        return this.findAlongSteps(bd, file, rank, KNIGHT_STEPS, false, PIECE_CODES.get(`${by_color}N`), -1) ||
+            this.findAlongSteps(bd, file, rank, PIECE_STEPS.get('K'), false, PIECE_CODES.get(`${by_color}K`), -1) ||
+            this.findAlongSteps(bd, file, rank, STRAIGHT_STEPS, true, PIECE_CODES.get(`${by_color}R`), queen) ||
+            this.findAlongSteps(bd, file, rank, DIAGONAL_STEPS, true, PIECE_CODES.get(`${by_color}B`), queen)
+    }
+    /**
+     * Checks if one of the given pieces is the first piece met when stepping away from a square
+     * @param {Uint8Array} bd Required. The position
+     * @param {Number} file Required. Index of the file of the square
+     * @param {Number} rank Required. Index of the rank of the square
+     * @param {Array<Array<Number>>} steps Required. The steps to take as [file, rank]
+     * @param {Boolean} slide Required. If each step is repeated until a piece is met, or only taken once
+     * @param {Number} piece Required. The code of the piece looked for (see PIECE_NAMES)
+     * @param {Number} other Required. The code of another piece looked for along the same steps (e.g. the queen for a rook), -1 if none
+     * @returns Boolean
+     */
+    findAlongSteps(bd, file, rank, steps, slide, piece, other) {
+        for(var i = 0; i < steps.length; i++) {
+            var f = file + steps[i][0]
+            var r = rank + steps[i][1]
+            while(f >= 0 && f < 8 && r >= 0 && r < 8) {
+                const code = bd[r * 8 + f]
+                if(code === piece || code === other) {
+                    return true
                 }
-
-                // check if the specification is about the file/rank
-                if(isNaN(specification)) {
-                    // lets see if files match up
-                    if(files[i] == specification) {
-                        // we found the rook!
-                        return files[i] + target_rank
-                    }
-                    continue
+                if(!slide || code !== 0) {
+                    break
                 }
+                f += steps[i][0]
+                r += steps[i][1]
+            }
+        }
 
-                // check if ranks match
-                if(Number(specification) == target_rank) {
-                    // we found the rook!
-                    return files[i] + target_rank
-                }
+        return false
+    }
+    /**
+     * Checks if the king of the given color is in check
+     * @param {Uint8Array} bd Required. The position
+     * @param {String} color Required. The color of the king (W|B)
+     * @returns Boolean
+     */
+    isInCheck(bd, color) {
+        const king = this.findKingSquare(bd, color)
+        if(king == null) {
+            return false
+        }
+
+        return this.isSquareAttacked(bd, king[0], king[1], (color == 'W' ? 'B' : 'W'))
+    }
+    /**
+     * Plays a move on a copy of the board, without any checks (en passant captures are handled, promotions are not)
+     * @param {Uint8Array} bd Required. The position
+     * @param {Number} from_file Required. Index of the starting file
+     * @param {Number} from_rank Required. Index of the starting rank
+     * @param {Number} to_file Required. Index of the target file
+     * @param {Number} to_rank Required. Index of the target rank
+     * @returns Uint8Array
+     */
+    simulateMove(bd, from_file, from_rank, to_file, to_rank) {
+        let b = bd.slice()
+
+        const piece = this.pieceAt(b, from_file, from_rank)
+        // a pawn moving diagonally to an empty square captures en passant
+        if(piece.substring(1, 2) == 'P' && from_file !== to_file && this.isEmptySquare(this.pieceAt(b, to_file, to_rank))) {
+            this.setPiece(b, to_file, from_rank, '')
+        }
+        this.setPiece(b, from_file, from_rank, '')
+        this.setPiece(b, to_file, to_rank, piece)
+
+        return b
+    }
+    /**
+     * Gets the square of the rook a castling right belongs to
+     * @param {String} right Required. The castling right (e.g. 'K' or, in Chess960, the file of the rook like 'B')
+     * @returns String
+     */
+    castlingRookSquare(right) {
+        const rank = (right == right.toUpperCase() ? '1' : '8')
+        if(right.toUpperCase() == 'K') {
+            return 'h' + rank
+        } else if(right.toUpperCase() == 'Q') {
+            return 'a' + rank
+        }
+
+        return right.toLowerCase() + rank
+    }
+    /**
+     * Finds where the king and rook start and end when castling
+     * @param {Uint8Array} bd Required. The position
+     * @param {String} castling Required. The castling rights left (same format as in FEN, see readCastling)
+     * @param {Boolean} kingside Required. If kingside castling is played
+     * @param {String} color Required. The color castling
+     * @returns Object consisting of keys: king_from, king_to, rook_from, rook_to (squares as [file, rank] indexes), or null if the right to castle on that side is lost
+     */
+    castlingSquares(bd, castling, kingside, color) {
+        const rank = (color == 'W' ? 0 : 7)
+        const king_file = this.findOnRank(bd, rank, `${color}K`)
+        for(var i = 0; i < castling.length; i++) {
+            const right = castling.substring(i, i + 1)
+            if(right == '-' || (right == right.toUpperCase() ? 'W' : 'B') !== color) {
+                continue
+            }
+            const rook = this.squareToIndex(this.castlingRookSquare(right))
+            // in Chess960 the side is found from where the rook stands next to the king
+            const right_kingside = (right.toUpperCase() == 'K' || right.toUpperCase() == 'Q' ? right.toUpperCase() == 'K' : rook[0] > king_file)
+            if(right_kingside !== kingside) {
+                continue
+            }
+
+            // the king and rook always end up on the same squares as in standard chess
+            return {
+                king_from: [king_file, rank],
+                king_to: [(kingside ? 6 : 2), rank],
+                rook_from: rook,
+                rook_to: [(kingside ? 5 : 3), rank]
+            }
+        }
+
+        return null
+    }
+    /**
+     * Checks if anything but the king and rook stands on the squares they cross or land on when castling
+     * @param {Uint8Array} bd Required. The position
+     * @param {Object} squares Required. Where the king and rook start and end (see castlingSquares)
+     * @returns Boolean
+     */
+    castlingBlocked(bd, squares) {
+        const rank = squares.king_from[1]
+        const low = Math.min(squares.king_from[0], squares.king_to[0], squares.rook_from[0], squares.rook_to[0])
+        const high = Math.max(squares.king_from[0], squares.king_to[0], squares.rook_from[0], squares.rook_to[0])
+        for(var f = low; f <= high; f++) {
+            if(f == squares.king_from[0] || f == squares.rook_from[0]) {
+                continue
+            }
+            if(!this.isEmptySquare(this.pieceAt(bd, f, rank))) {
+                return true
+            }
+        }
+
+        return false
+    }
+    /**
+     * Checks if castling breaks any rule other than the castling rights (pieces in the way, or castling out of, through or into check)
+     * @param {Uint8Array} bd Required. The position
+     * @param {Object} squares Required. Where the king and rook start and end (see castlingSquares)
+     * @param {String} color Required. The color castling
+     * @returns String | null, the rule broken
+     */
+    castlingProblem(bd, squares, color) {
+        const rank = squares.king_from[1]
+        const enemy = (color == 'W' ? 'B' : 'W')
+
+        if(this.castlingBlocked(bd, squares)) {
+            return 'there are pieces between the king and the rook'
+        }
+
+        // the king cannot castle out of, through or into check
+        const step = (squares.king_to[0] >= squares.king_from[0] ? 1 : -1)
+        for(var f = squares.king_from[0]; f !== squares.king_to[0] + step; f += step) {
+            if(this.isSquareAttacked(bd, f, rank, enemy)) {
+                return (f == squares.king_from[0] ? 'cannot castle out of check' : (f == squares.king_to[0] ? 'cannot castle into check' : 'cannot castle through check'))
+            }
+        }
+        // in Chess960 the rook could have been blocking an attack on the king's last square
+        if(this.isInCheck(this.castle(bd, squares, color), color)) {
+            return 'cannot castle into check'
+        }
+
+        return null
+    }
+    /**
+     * Castles on a copy of the board
+     * @param {Uint8Array} bd Required. The position
+     * @param {Object} squares Required. Where the king and rook start and end (see castlingSquares)
+     * @param {String} color Required. The color castling
+     * @returns Uint8Array
+     */
+    castle(bd, squares, color) {
+        // it is assumed that castling is legal
+        let b = bd.slice()
+        // both pieces are lifted first, since in Chess960 they can land on each other's squares
+        this.setPiece(b, squares.king_from[0], squares.king_from[1], '')
+        this.setPiece(b, squares.rook_from[0], squares.rook_from[1], '')
+        this.setPiece(b, squares.king_to[0], squares.king_to[1], `${color}K`)
+        this.setPiece(b, squares.rook_to[0], squares.rook_to[1], `${color}R`)
+
+        return b
+    }
+    /**
+     * Finds the squares a piece can move to by its own movement rules, without looking at the safety of its king
+     * @param {Uint8Array} bd Required. The position
+     * @param {Number} file Required. Index of the file of the piece
+     * @param {Number} rank Required. Index of the rank of the piece
+     * @param {String} en_passant_square Required. The en passant square ('-' if none)
+     * @returns Array<Array<Number>> The target squares as [file, rank]
+     */
+    pieceTargets(bd, file, rank, en_passant_square) {
+        const piece = this.pieceAt(bd, file, rank)
+        const color = piece.substring(0, 1)
+        const type = piece.substring(1, 2)
+        let targets = []
+        if(type == 'P') {
+            const dir = (color == 'W' ? 1 : -1)
+            const enemy = (color == 'W' ? 'B' : 'W')
+            const r1 = rank + dir
+            if(r1 < 0 || r1 >= 8) {
+                return targets
+            }
+            // pushes
+            if(this.isEmptySquare(this.pieceAt(bd, file, r1))) {
+                targets.push([file, r1])
+                if(rank == (color == 'W' ? 1 : 6) && this.isEmptySquare(this.pieceAt(bd, file, r1 + dir))) {
+                    targets.push([file, r1 + dir])
+                }
+            }
+            // captures
+            for(var df = -1; df <= 1; df += 2) {
+                if(file + df < 0 || file + df >= 8) {
+                    continue
+                }
+                if(this.pieceAt(bd, file + df, r1).substring(0, 1) == enemy || this.indexToSquare(file + df, r1) == en_passant_square) {
+                    targets.push([file + df, r1])
+                }
+            }
+
+            return targets
+        }
+
+        const steps = PIECE_STEPS.get(type)
+        const slide = SLIDING_PIECES.has(type)
+        for(var i = 0; i < steps.length; i++) {
+            var f = file + steps[i][0]
+            var r = rank + steps[i][1]
+            while(f >= 0 && f < 8 && r >= 0 && r < 8) {
+                const target = this.pieceAt(bd, f, r)
+                if(target.substring(0, 1) !== color) {
+                    targets.push([f, r])
+                }
+                if(!slide || !this.isEmptySquare(target)) {
+                    break
+                }
+                f += steps[i][0]
+                r += steps[i][1]
+            }
+        }
+        // keep the targets in board order (a1, b1, ..., h8), like the moves are listed
+        targets.sort((a, b) => (a[1] * 8 + a[0]) - (b[1] * 8 + b[0]))
+
+        return targets
+    }
+    /**
+     * Checks if a move is legal, other than castling
+     * @param {Uint8Array} bd Required. The position
+     * @param {String} color Required. The color to move (W|B)
+     * @param {String} en_passant_square Required. The en passant square ('-' if none)
+     * @param {Array<Number>} from Required. The starting square as [file, rank]
+     * @param {Array<Number>} to Required. The target square as [file, rank]
+     * @returns Boolean
+     */
+    isLegalMove(bd, color, en_passant_square, from, to) {
+        if(this.pieceAt(bd, from[0], from[1]).substring(0, 1) !== color) {
+            return false
+        }
+        if(!this.pieceTargets(bd, from[0], from[1], en_passant_square).some(target => target[0] == to[0] && target[1] == to[1])) {
+            return false
+        }
+
+        return !this.isInCheck(this.simulateMove(bd, from[0], from[1], to[0], to[1]), color)
+    }
+    /**
+     * Generates the legal moves (other than castling) for the given color
+     * @param {Uint8Array} bd Required. The position
+     * @param {String} color Required. The color to move (W|B)
+     * @param {String} en_passant_square Required. The en passant square ('-' if none)
+     * @param {Boolean} [stop_on_first=false] Optional. If we only need to know if there is any legal move at all
+     * @returns Array<Array<Number>> Each move is [from_file, from_rank, to_file, to_rank]
+     */
+    generateMoves(bd, color, en_passant_square, stop_on_first = false) {
+        let moves = []
+        for(var r = 0; r < 8; r++) {
+            for(var f = 0; f < 8; f++) {
+                if(this.pieceAt(bd, f, r).substring(0, 1) !== color) {
+                    continue
+                }
+
+                // only keep the moves which don't expose the king
+                const targets = this.pieceTargets(bd, f, r, en_passant_square)
+                for(var i = 0; i < targets.length; i++) {
+                    const after = this.simulateMove(bd, f, r, targets[i][0], targets[i][1])
+                    if(!this.isInCheck(after, color)) {
+                        moves.push([f, r, targets[i][0], targets[i][1]])
+                        if(stop_on_first) {
+                            return moves
+                        }
+                    }
+                }
+            }
+        }
+
+        return moves
+    }
+    /**
+     * Checks if the given color has any legal move
+     * @param {Uint8Array} bd Required. The position
+     * @param {String} color Required. The color to move (W|B)
+     * @param {String} en_passant_square Required. The en passant square ('-' if none)
+     * @param {String} [castling='-'] Optional. The castling rights left (same format as in FEN, see readCastling)
+     * @returns Boolean
+     */
+    hasLegalMove(bd, color, en_passant_square, castling = '-') {
+        if(this.generateMoves(bd, color, en_passant_square, true).length > 0) {
+            return true
+        }
+
+        // in Chess960 the king may not move at all when castling (e.g. Kg1 and Rh1), so castling can be the only legal move
+        return this.castlingMoves(bd, castling, color).length > 0
+    }
+    /**
+     * Finds the legal ways to castle for the given color
+     * @param {Uint8Array} bd Required. The position
+     * @param {String} castling Required. The castling rights left (same format as in FEN, see readCastling)
+     * @param {String} color Required. The color to move (W|B)
+     * @returns Array<Object> Where the king and rook start and end for each (see castlingSquares)
+     */
+    castlingMoves(bd, castling, color) {
+        // castling follows the same rules as when reading a game in strict mode
+        const sides = [true, false]
+        let moves = []
+        for(var i = 0; i < sides.length; i++) {
+            const squares = this.castlingSquares(bd, castling, sides[i], color)
+            if(squares === null || squares.king_from[0] == -1 || (!this.chess960 && squares.king_from[0] !== 4)) {
+                continue
+            }
+            if(this.pieceAt(bd, squares.rook_from[0], squares.rook_from[1]) !== `${color}R` || this.castlingProblem(bd, squares, color) !== null) {
+                continue
+            }
+            moves.push(squares)
+        }
+
+        return moves
+    }
+    /**
+     * Gets the legal moves in a position of memory_boards
+     * @param {Number} [index=this.key_position] Optional. Index of the position in memory_boards
+     * @param {String | null} [square=null] Optional. Only gives the moves of the piece on this square (e.g. 'e2')
+     * @returns Array<Object> | null if the index is out of bounds (see makeLegalMoves)
+     */
+    getLegalMoves(index = this.key_position, square = null) {
+        if(index < 0 || index >= this.memory_positions.length) {
+            return null
+        }
+
+        return this.makeLegalMoves(this.memory_positions[index], this.memory_states[index], square)
+    }
+    /**
+     * Gets the legal moves in any position (e.g. the position and state of a node in the move tree), including castling, en passant and every promotion.
+     * Each move is {from, to, san, piece, captured, promotion, castle, en_passant, check, mate}, the same as in a PGNMoveRecord
+     * @param {Uint8Array | Array<Array<String>>} bd Required. The position (or a board in the shape of memory_boards)
+     * @param {Object} state Required. Side to move, castling rights, en passant square and move counters
+     * @param {String | null} [square=null] Optional. Only gives the moves of the piece on this square (e.g. 'e2')
+     * @returns Array<Object>
+     */
+    makeLegalMoves(bd, state, square = null) {
+        bd = this.toPosition(bd)
+        const color = state.turn
+        const last_rank = (color == 'W' ? 7 : 0)
+        let moves = []
+        const generated = this.generateMoves(bd, color, state.en_passant)
+        for(var i = 0; i < generated.length; i++) {
+            const from = [generated[i][0], generated[i][1]]
+            const to = [generated[i][2], generated[i][3]]
+            // a pawn reaching the last rank can promote to any of these
+            const promotions = (this.pieceAt(bd, from[0], from[1]) == `${color}P` && to[1] == last_rank ? ['Q', 'R', 'B', 'N'] : [null])
+            for(var z = 0; z < promotions.length; z++) {
+                moves.push(this.describeMove(bd, state, from, to, promotions[z], null))
+            }
+        }
+
+        const castles = this.castlingMoves(bd, state.castling, color)
+        for(var i = 0; i < castles.length; i++) {
+            moves.push(this.describeMove(bd, state, castles[i].king_from, castles[i].king_to, null, castles[i]))
+        }
+
+        // the SAN can only be made once every move is known, since another piece reaching the same square changes it
+        for(var i = 0; i < moves.length; i++) {
+            moves[i].san = this.makeSAN(moves[i], moves)
+        }
+
+        return (square === null ? moves : moves.filter(move => move.from == square.toLowerCase()))
+    }
+    /**
+     * Finds a legal move given by its squares in any position.
+     * Castling is given as the king moving onto its own rook, or in standard chess also as the king moving two squares (e.g. 'e1' to 'g1')
+     * @param {Uint8Array | Array<Array<String>>} bd Required. The position (or a board in the shape of memory_boards)
+     * @param {Object} state Required. Side to move, castling rights, en passant square and move counters
+     * @param {String} from Required. The square the piece moves from (e.g. 'e7')
+     * @param {String} to Required. The square the piece moves to (e.g. 'e8')
+     * @param {String | null} [promotion=null] Optional. The piece a pawn promotes to (e.g. 'Q'), needed when it reaches the last rank
+     * @returns Object | null if the move isn't legal (see makeLegalMoves)
+     */
+    findLegalMove(bd, state, from, to, promotion = null) {
+        bd = this.toPosition(bd)
+        const moves = this.makeLegalMoves(bd, state, from)
+        const target = to.toLowerCase()
+        const promote = (promotion === null ? null : promotion.toUpperCase())
+        for(var i = 0; i < moves.length; i++) {
+            if(moves[i].castle !== null) {
+                const squares = this.castlingSquares(bd, state.castling, moves[i].castle == 'K', state.turn)
+                // in Chess960 the king can also reach its castling square by a normal move, so only the rook's square names castling
+                if(target == this.indexToSquare(squares.rook_from[0], squares.rook_from[1]) || (!this.chess960 && target == moves[i].to)) {
+                    return moves[i]
+                }
+                continue
+            }
+            if(moves[i].to == target && moves[i].promotion === promote) {
+                return moves[i]
+            }
+        }
+
+        return null
+    }
+    /**
+     * Makes the SAN of a move given by its squares in any position (e.g. a click on the board, or a move from a UCI engine like 'e7e8q')
+     * @param {Uint8Array | Array<Array<String>>} bd Required. The position (or a board in the shape of memory_boards)
+     * @param {Object} state Required. Side to move, castling rights, en passant square and move counters
+     * @param {String} from Required. The square the piece moves from (e.g. 'e7')
+     * @param {String} to Required. The square the piece moves to (e.g. 'e8')
+     * @param {String | null} [promotion=null] Optional. The piece a pawn promotes to (e.g. 'Q'), needed when it reaches the last rank
+     * @returns String | null if the move isn't legal
+     */
+    makeMoveSAN(bd, state, from, to, promotion = null) {
+        const move = this.findLegalMove(bd, state, from, to, promotion)
+        return (move === null ? null : move.san)
+    }
+    /**
+     * Makes the SAN of a move given by its squares in a position of memory_boards (see makeMoveSAN)
+     * @param {String} from Required. The square the piece moves from (e.g. 'e7')
+     * @param {String} to Required. The square the piece moves to (e.g. 'e8')
+     * @param {String | null} [promotion=null] Optional. The piece a pawn promotes to (e.g. 'Q'), needed when it reaches the last rank
+     * @param {Number} [index=this.key_position] Optional. Index of the position in memory_boards
+     * @returns String | null if the move isn't legal or the index is out of bounds
+     */
+    getSAN(from, to, promotion = null, index = this.key_position) {
+        if(index < 0 || index >= this.memory_positions.length) {
+            return null
+        }
+
+        return this.makeMoveSAN(this.memory_positions[index], this.memory_states[index], from, to, promotion)
+    }
+    /**
+     * Describes a legal move, everything but its SAN (see makeLegalMoves)
+     * @param {Uint8Array} bd Required. The position
+     * @param {Object} state Required. Side to move, castling rights, en passant square and move counters
+     * @param {Array<Number>} from Required. The square the piece moves from as [file, rank]
+     * @param {Array<Number>} to Required. The square the piece moves to as [file, rank]
+     * @param {String | null} promotion Required. The piece promoted to if any (e.g. 'Q')
+     * @param {Object | null} squares Required. Where the king and rook start and end when castling (see castlingSquares), otherwise null
+     * @returns Object
+     */
+    describeMove(bd, state, from, to, promotion, squares) {
+        const color = state.turn
+        const enemy = (color == 'W' ? 'B' : 'W')
+        const piece = this.pieceAt(bd, from[0], from[1])
+        const pawn = piece == `${color}P`
+        const en_passant = pawn && from[0] !== to[0] && this.isEmptySquare(this.pieceAt(bd, to[0], to[1]))
+        let captured = (en_passant ? this.pieceAt(bd, to[0], from[1]) : this.pieceAt(bd, to[0], to[1]))
+        let after = null
+        if(squares !== null) {
+            // in Chess960 the king can land on its own rook's square
+            captured = null
+            after = this.castle(bd, squares, color)
+        } else {
+            after = this.simulateMove(bd, from[0], from[1], to[0], to[1])
+            if(promotion !== null) {
+                this.setPiece(after, to[0], to[1], color + promotion)
+            }
+        }
+
+        // the opponent may only escape a check by capturing en passant
+        const en_passant_after = (pawn && Math.abs(to[1] - from[1]) == 2 ? this.indexToSquare(from[0], (from[1] + to[1]) / 2) : '-')
+        const check = this.isInCheck(after, enemy)
+        return {
+            from: this.indexToSquare(from[0], from[1]),
+            to: this.indexToSquare(to[0], to[1]),
+            san: null,
+            piece: piece,
+            captured: (captured === null || this.isEmptySquare(captured) ? null : captured),
+            promotion: promotion,
+            castle: (squares === null ? null : (squares.king_to[0] == 6 ? 'K' : 'Q')),
+            en_passant: en_passant,
+            check: check,
+            // castling is never a way out of check, so the castling rights after the move don't matter
+            mate: check && !this.hasLegalMove(after, enemy, en_passant_after)
+        }
+    }
+    /**
+     * Makes the SAN of a legal move, naming the file, rank or square the piece moves from only when another piece of the same kind could move to the same square
+     * @param {Object} move Required. The move (see makeLegalMoves)
+     * @param {Array<Object>} moves Required. Every legal move in the position
+     * @returns String
+     */
+    makeSAN(move, moves) {
+        const suffix = (move.mate ? '#' : (move.check ? '+' : ''))
+        if(move.castle !== null) {
+            return (move.castle == 'K' ? 'O-O' : 'O-O-O') + suffix
+        }
+
+        const capture = (move.captured !== null ? 'x' : '')
+        if(move.piece.substring(1, 2) == 'P') {
+            return (capture !== '' ? move.from.substring(0, 1) : '') + capture + move.to + (move.promotion !== null ? '=' + move.promotion : '') + suffix
+        }
+
+        const others = moves.filter(other => other !== move && other.castle === null && other.piece == move.piece && other.to == move.to)
+        let from = ''
+        if(others.length > 0) {
+            // the file is enough if no other piece is on it, then the rank, otherwise the whole square
+            if(!others.some(other => other.from.substring(0, 1) == move.from.substring(0, 1))) {
+                from = move.from.substring(0, 1)
+            } else if(!others.some(other => other.from.substring(1, 2) == move.from.substring(1, 2))) {
+                from = move.from.substring(1, 2)
+            } else {
+                from = move.from
+            }
+        }
+
+        return move.piece.substring(1, 2) + from + capture + move.to + suffix
+    }
+    /**
+     * Checks if neither side has the pieces left to checkmate (only kings, a single knight or bishop, or bishops all on squares of one color)
+     * @param {Uint8Array} bd Required. The position
+     * @returns Boolean
+     */
+    isInsufficientMaterial(bd) {
+        let minors = 0
+        let only_bishops = true
+        let bishop_colors = new Set()
+        for(var r = 0; r < 8; r++) {
+            for(var f = 0; f < 8; f++) {
+                const piece = this.pieceAt(bd, f, r).substring(1, 2)
+                if(piece == '' || piece == 'K') {
+                    continue
+                }
+                if(piece == 'P' || piece == 'R' || piece == 'Q') {
+                    return false
+                }
+                minors += 1
+                if(piece == 'B') {
+                    bishop_colors.add((r + f) % 2)
+                } else {
+                    only_bishops = false
+                }
+            }
+        }
+
+        return minors <= 1 || (only_bishops && bishop_colors.size == 1)
+    }
+    /**
+     * Gets the en passant square of a position if a pawn can really capture there, since otherwise it makes no difference to the position
+     * @param {Uint8Array} bd Required. The position
+     * @param {Object} state Required. Side to move, castling rights, en passant square and move counters of the position
+     * @returns String ('-' if none)
+     */
+    enPassantCapture(bd, state) {
+        if(state.en_passant == '-') {
+            return '-'
+        }
+        const target = this.squareToIndex(state.en_passant)
+        const rank = target[1] - (state.turn == 'W' ? 1 : -1)
+        // only a pawn right next to the pawn that moved two squares can capture it, and only then the king's safety has to be checked
+        for(var df = -1; df <= 1; df += 2) {
+            const file = target[0] + df
+            if(file < 0 || file >= 8 || rank < 0 || rank >= 8 || this.pieceAt(bd, file, rank) !== `${state.turn}P`) {
+                continue
+            }
+            if(this.isLegalMove(bd, state.turn, state.en_passant, [file, rank], target)) {
+                return state.en_passant
+            }
+        }
+
+        return '-'
+    }
+    /**
+     * Gets the Zobrist hash of a position in memory_boards
+     * @param {Number} [index=this.key_position] Optional. Index of the position in memory_boards
+     * @returns BigInt | null
+     */
+    getHash(index = this.key_position) {
+        if(index < 0 || index >= this.memory_hashes.length) {
+            return null
+        }
+
+        return this.memory_hashes[index]
+    }
+    /**
+     * Makes the 64-bit Zobrist hash of any position from scratch. Positions that are the same for repetitions (the same pieces, side to move, castling rights and en passant capture) get the same hash.
+     * The interpreter keeps the hash up to date move by move instead, which gives the same value
+     * @param {Uint8Array | Array<Array<String>>} bd Required. The position (or a board in the shape of memory_boards)
+     * @param {Object} state Required. Side to move, castling rights, en passant square and move counters of the position
+     * @returns BigInt
+     */
+    makeHash(bd, state) {
+        bd = this.toPosition(bd)
+        let hash = this.hashState(bd, state)
+        for(var i = 0; i < 64; i++) {
+            if(bd[i] !== 0) {
+                hash ^= ZOBRIST_KEYS.pieces.get(PIECE_NAMES[bd[i]])[i]
+            }
+        }
+
+        return hash
+    }
+    /**
+     * Gets the part of the Zobrist hash for a piece on a square
+     * @param {String} piece Required. The piece (e.g. 'WN')
+     * @param {Number} file Required. Index of the file
+     * @param {Number} rank Required. Index of the rank
+     * @returns BigInt
+     */
+    hashSquare(piece, file, rank) {
+        return ZOBRIST_KEYS.pieces.get(piece)[rank * 8 + file]
+    }
+    /**
+     * Gets the part of the Zobrist hash for everything but the pieces (side to move, castling rights and en passant capture)
+     * @param {Uint8Array} bd Required. The position
+     * @param {Object} state Required. Side to move, castling rights, en passant square and move counters of the position
+     * @returns BigInt
+     */
+    hashState(bd, state) {
+        const side = (state.turn == 'B' ? ZOBRIST_KEYS.black : 0n)
+        return side ^ this.hashCastling(state.castling) ^ this.hashEnPassant(this.enPassantCapture(bd, state))
+    }
+    /**
+     * Gets the part of the Zobrist hash for the castling rights
+     * @param {String} castling Required. The castling rights (same format as in FEN, see readCastling)
+     * @returns BigInt
+     */
+    hashCastling(castling) {
+        let hash = 0n
+        for(var i = 0; i < castling.length; i++) {
+            const right = castling.substring(i, i + 1)
+            if(right !== '-') {
+                hash ^= ZOBRIST_KEYS.castling.get(right)
+            }
+        }
+
+        return hash
+    }
+    /**
+     * Gets the part of the Zobrist hash for the en passant square, which only counts if a pawn can really capture there
+     * @param {String} en_passant Required. The en passant square if a pawn can really capture there, '-' otherwise (see enPassantCapture)
+     * @returns BigInt
+     */
+    hashEnPassant(en_passant) {
+        return (en_passant == '-' ? 0n : ZOBRIST_KEYS.en_passant[this.squareToIndex(en_passant)[0]])
+    }
+    /**
+     * Finds the game-ending states of a position
+     * @param {Uint8Array} bd Required. The position
+     * @param {Object} state Required. Side to move, castling rights, en passant square and move counters of the position
+     * @param {PGNMoveNode | null} [parent=null] Optional. The node of the position before (for finding repetitions)
+     * @param {Boolean} [settle=true] Optional. If checkmate and stalemate are looked for right away, which means trying every move.
+     * Otherwise they are only looked for in check, and the rest is left to settleStatus
+     * @param {BigInt | null} [hash=null] Optional. The Zobrist hash of the position when it is known already (see makeHash)
+     * @returns PGNPositionStatus
+     */
+    makeStatus(bd, state, parent = null, settle = true, hash = null) {
+        let status = new PGNPositionStatus()
+        // the same position always has the same hash, so repetitions are found by it
+        if(hash === null) {
+            hash = this.makeHash(bd, state)
+        }
+        let repetitions = 1
+        // positions before the last capture or pawn move can't come up again
+        let earlier = parent
+        for(var i = 0; i < state.halfmove && earlier !== null; i++) {
+            if(earlier.hash === hash) {
+                repetitions += 1
+            }
+            earlier = earlier.parent
+        }
+
+        status.check = this.isInCheck(bd, state.turn)
+        // a check has to be told apart from checkmate straight away, since the move that gave it is marked with it
+        if(settle || status.check) {
+            this.settleStatus(status, bd, state)
+        }
+        status.insufficient_material = this.isInsufficientMaterial(bd)
+        status.repetitions = repetitions
+        status.halfmove = state.halfmove
+
+        return status
+    }
+    /**
+     * Fills in checkmate and stalemate in a status made without them (see makeStatus), unless they are known already
+     * @param {PGNPositionStatus} status Required. The status of the position
+     * @param {Uint8Array} bd Required. The position
+     * @param {Object} state Required. Side to move, castling rights, en passant square and move counters of the position
+     * @param {Boolean | null} [can_move=null] Optional. If the side to move has a legal move, when that is known already (e.g. a legal move was played from the position)
+     */
+    settleStatus(status, bd, state, can_move = null) {
+        if(status.can_move !== null) {
+            return
+        }
+        status.can_move = (can_move !== null ? can_move : this.hasLegalMove(bd, state.turn, state.en_passant, state.castling))
+    }
+    /**
+     * Finds every square holding a piece (other than a pawn) that can move to the target square given the fresh board
+     * @param {Object} move Required. The move extracted by the parser
+     * @param {String} color Required. The color (W|B)
+     * @returns Array<String>
+     */
+    findCandidates(move, color) {
+        const bd = this.fresh()
+        const target = this.squareToIndex(move.target_square)
+        let candidates = []
+        for(var r = 0; r < 8; r++) {
+            for(var f = 0; f < 8; f++) {
+                if(this.pieceAt(bd, f, r) !== `${color}${move.piece_type}`) {
+                    continue
+                }
+                // respect any specification written in the notation
+                const sq = this.indexToSquare(f, r)
+                if(move.from_file !== null && sq.substring(0, 1) !== move.from_file) {
+                    continue
+                }
+                if(move.from_rank !== null && sq.substring(1, 2) !== String(move.from_rank)) {
+                    continue
+                }
+                if(this.pieceCanReach(bd, f, r, target[0], target[1])) {
+                    candidates.push(sq)
+                }
+            }
+        }
+
+        return candidates
+    }
+    /**
+     * Finds a pawn that can go to to target square given the fresh board
+     * @param {String} from_file Required. A one character string representing the starting file of the pawn
+     * @param {String} target_square Required. The full target square
+     * @param {String} color Required. The color (W|B)
+     * @returns Array<String>
+     */
+    findPawn(from_file, target_square, color) {
+        let bd = this.fresh()
+        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
+        // go through bd and find pawn that can get to target square
+        const file_loc = files.indexOf(from_file)
+        let from_rank = Number(target_square.substring(1, 2))
+        if(color == "W") {
+            from_rank -= 1 // for making a more accurate index
+            // if we have any piece behind this rank, it is simply impossible for the pawn to 'jump' to that rank
+            // we also skip this if the piece was captured on that square
+            if(this.isEmptySquare(this.pieceAt(bd, file_loc, from_rank)) && from_file.toLowerCase() == target_square.substring(0, 1).toLowerCase()) {
+                // we automatically assume that by the time this condition is touched, the move simply could not have possible been a capture
+                // so just check the two lower squares
+                if(this.pieceAt(bd, file_loc, from_rank - 1) == 'WP') {
+                    // found!
+                    return [from_file, from_rank]
+                } else {
+                    // since the move is not a capture, target rank must = 4 && pawn at target file and rank 2 moved
+                    if(from_rank - 1 == 2) {
+                        return [from_file, from_rank - 1]
+                    }
+                }
+            }
+            // do nothing!
+        } else {
+            // we will repeat the exact same process as done above
+            // we don't need to increment rank since in theory the number already represents the index properly
+            if(this.isEmptySquare(this.pieceAt(bd, file_loc, from_rank - 1)) && from_file.toLowerCase() == target_square.substring(0, 1).toLowerCase()) {
+                if(this.pieceAt(bd, file_loc, from_rank) == 'BP') { // we make '+' since black panws go the other direction
+                    return [from_file, from_rank + 1]
+                }
+                if(from_rank + 2 == 7) {
+                    return [from_file, from_rank + 2]
+                }
+            }
+        }
+
+        if(from_file.toLowerCase() == target_square.substring(0, 1).toLowerCase()) {
+            // return what we have right now
+            return [from_file, from_rank.toString()]
+        }
+
+        // now we have to locate this pawn
+        // our capture could have been en-passant or just a normal pawn capture
+        if(color == "W") {
+            // get location of final square
+            const tf_loc = files.indexOf(target_square.substring(0, 1))
+            // if we see a black pawn adjacent to our current (on the first level rank) and nothing on the target square, then we have enpassant
+            if(this.pieceAt(bd, tf_loc, from_rank - 1) == 'BP' && this.isEmptySquare(this.pieceAt(bd, tf_loc, from_rank))) {
+                this.en_passant = true
+            }
+            return [from_file, from_rank]
+        } else {
+            // same operation is W
+            const tf_loc = files.indexOf(target_square.substring(0, 1))
+            if(this.pieceAt(bd, tf_loc, from_rank) == 'WP' && this.isEmptySquare(this.pieceAt(bd, tf_loc, from_rank - 1))) {
+                this.en_passant = true
+            }
+            return [from_file, from_rank + 1]
+        }
+
+        return null // no valid pawn exists
+    }
+    /**
+     * A helper function for findKing. Checks if the king exists on the given square information
+     * @param {Number} check_file Required. Index of file to check
+     * @param {Number} check_rank Required. Index of rank to check
+     * @param {String} color Required. Color of king
+     * @returns Boolean
+     */
+    kingExists(check_file, check_rank, color) {
+        // make sure file and rank are in founds
+        if(check_file < 0 || check_file >= 8) {
+            return false
+        }
+        if(check_rank < 0 || check_rank >= 8) {
+            return false
+        }
+
+        return this.pieceAt(this.memory_positions[this.memory_positions.length - 1], check_file, check_rank) == `${color}K`
+    }
+    /**
+     * Finds what square the king is on the given color on the fresh board
+     * @param {String} target_file Required. The target file
+     * @param {String} target_rank Required. The target rank
+     * @param {String} color Required. A one character string to represent the color
+     * @returns String
+     */
+    findKing(target_file, target_rank, color) {
+        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
+
+        const tf_loc = files.indexOf(target_file)
+        const tr_loc = Number(target_rank) - 1
+
+        // look for squares around the target to find king
+        const squares_check = [
+            [tf_loc - 1, tr_loc], // left side
+            [tf_loc + 1, tr_loc], // right side
+            [tf_loc, tr_loc + 1], // upper side
+            [tf_loc, tr_loc - 1], // lower side
+            [tf_loc - 1, tr_loc + 1], // upper left
+            [tf_loc + 1, tr_loc + 1], // upper right
+            [tf_loc - 1, tr_loc - 1], // lower left
+            [tf_loc + 1, tr_loc - 1] // lower right
+        ]
+
+        for(var i = 0; i < squares_check.length; i++) {
+            if(this.kingExists(squares_check[i][0], squares_check[i][1], color)) {
+                return files[squares_check[i][0]] + (squares_check[i][1] + 1)
+            }
+        }
+        
+        return null // impossible to reach since the king must exist in the position
+    }
+    /**
+     * Finds what square the rook is on given the color and target square information
+     * @param {String} target_file Required. The target file
+     * @param {String} target_rank Required. The target rank
+     * @param {String} color Required. The color
+     * @param {String} specification Required. If the notation specified any specifications
+     * @param {string} [p_check='R'] INTERNAL USE ONLY!
+     * @returns String
+     */
+    findRook(target_file, target_rank, color, specification, p_check = 'R') {
+        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
+        const tf_loc = files.indexOf(target_file)
+        const tr_loc = Number(target_rank) - 1
+        const bd = this.fresh()
+
+        // we don't have to run through the whole board
+        // lets use logic
+
+        // first check the rank of the target square
+        // check for any rooks on that rank
+        for(var i = 0; i < 8; i++) {
+            if(this.pieceAt(bd, i, tr_loc) == `${color}${p_check}`) {
+                // check for specification
+                if(specification == null) {
+                    // the last thing we have to check is if the rook can actually get to the square
+                    // in other words, we just have to make sure none of the pieces are in front of it
+
+                    let squares_ok = true
+                    if(tf_loc < i) {
+                        // check all squares between (tf_loc,i)
+                        for(var z = tf_loc + 1; z < i; z++) {
+                            if(!this.isEmptySquare(this.pieceAt(bd, z, tr_loc))) {
+                                // doesn't work anymore
+                                squares_ok = false
+                                break
+                            }
+                        }
+                    } else {
+                        // check all squares between (i, tf_loc)
+                        for(var z = i + 1; z < tf_loc; z++) {
+                            if(!this.isEmptySquare(this.pieceAt(bd, z, tr_loc))) {
+                                squares_ok = false
+                                break
+                            }
+                        }
+                    }
+
+                    // check status
+                    if(!squares_ok) {
+                        continue // look for another rook
+                    }
+
+                    // we found the rook!
+                    return files[i] + target_rank
+                }
+
+                // check if the specification is about the file/rank
+                if(isNaN(specification)) {
+                    // lets see if files match up
+                    if(files[i] == specification) {
+                        // we found the rook!
+                        return files[i] + target_rank
+                    }
+                    continue
+                }
+
+                // check if ranks match
+                if(Number(specification) == target_rank) {
+                    // we found the rook!
+                    return files[i] + target_rank
+                }
+            }
+        }
+
+        // in that case we need to check each file carefully for every rank
+        for(var i = 0; i < 8; i++) {
+            if(this.pieceAt(bd, tf_loc, i) == `${color}${p_check}`) {
+                // we will run the exact same checks
+                if(specification == null) {
+                    let squares_ok = true
+
+                    let start_check = Math.min(i, tr_loc)
+                    let stop_check = Math.max(i, tr_loc)
+                    for(var z = start_check + 1; z < stop_check; z++) {
+                        if(!this.isEmptySquare(this.pieceAt(bd, tf_loc, z))) {
+                            squares_ok = false
+                            break
+                        }
+                    }
+
+                    if(!squares_ok) {
+                        continue
+                    }
+
+                    return target_file + String(i + 1)
+                }
+
+                if(isNaN(specification)) {
+                    if(target_file == specification) {
+                        return target_file + String(i + 1)
+                    }
+                    continue
+                }
+
+                if(Number(specification) == i + 1) {
+                    return target_file + String(i + 1)
+                }
+            }
+        }
+
+        return null
+    }
+    /**
+     * Quick partitioning for bishop
+     * @param {Number} start_f Required. Starting position for file
+     * @param {Number} start_r Required. Starting position for rank
+     * @param {Number} i_increment Required. Direction i increments
+     * @param {Number} z_increment Required. Direction z increments
+     * @param {Number} i_stop Required. Number i stops at
+     * @param {Number} z_stop Required. Number z stops at
+     * @param {String} color Required. Color
+     * @param {String} specification Required. Specification
+     * @param {String} p_check INTERNAL USE ONLY!
+     * @returns String
+     */
+    bishopPartition(start_f, start_r, i_increment, z_increment, i_stop, z_stop, color, specification, p_check = 'B') {
+        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
+        const bd = this.fresh()
+        var i = start_f
+        var z = start_r
+        while(i != i_stop && z != z_stop) {
+            if(this.pieceAt(bd, i, z) == `${color}${p_check}`) {
+                // check for specifications
+                if(specification == null) {
+                    return files[i] + String(z + 1)
+                }
+
+                // do usual checks
+                if(isNaN(specification)) {
+                    if(files[i] == specification) {
+                        return files[i] + String(z + 1)
+                    }
+                    i += i_increment
+                    z += z_increment
+                    continue
+                }
+                if(z + 1 == Number(specification)) {
+                    return files[i] + String(z + 1)
+                }
+            }
+            i += i_increment
+            z += z_increment
+        }
+
+        return null
+    }
+    /**
+     * Finds what square the bishop is on given the color and target square information
+     * @param {String} target_file Required. The target file
+     * @param {String} target_rank Required. The target rank
+     * @param {String} color Required. The color
+     * @param {String} specification Required. If the notation specified any specifications
+     * @param {string} [p_check='B'] INTERNAL USE ONLY!
+     * @returns String
+     */
+    findBishop(target_file, target_rank, color, specification, p_check = 'B') {
+        // there really is no 'best' way to approach this
+        // just look for diagonals around the fresh board
+        const bd = this.fresh()
+        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
+        const tf_loc = files.indexOf(target_file)
+        const tr_loc = Number(target_rank) - 1
+
+        // up-left
+        const ul = this.bishopPartition(tf_loc, tr_loc, -1, 1, -1, 8, color, specification, p_check)
+        if(ul !== null) {
+            return ul
+        }
+
+        // up-right
+        const ur = this.bishopPartition(tf_loc, tr_loc, 1, 1, 8, 8, color, specification, p_check)
+        if(ur !== null) {
+            return ur
+        }
+
+        // down-left
+        const dl = this.bishopPartition(tf_loc, tr_loc, -1, -1, -1, -1, color, specification, p_check)
+        if(dl !== null) {
+            return dl
+        }
+
+        // down-right
+        const dr = this.bishopPartition(tf_loc, tr_loc, 1, -1, 8, -1, color, specification, p_check)
+
+        return dr
+    }
+    /**
+     * Finds what square the queen is on given the color and target square information
+     * @param {String} target_file Required. The target file
+     * @param {String} target_rank Required. The target rank
+     * @param {String} color Required. The color
+     * @param {String} specification Required. If the notation specificed any specifications
+     * @returns String
+     */
+    findQueen(target_file, target_rank, color, specification) {
+        // just call rook and bishop functions
+        const r = this.findRook(target_file, target_rank, color, specification, 'Q')
+        if(r !== null) {
+            return r
+        }
+
+        return this.findBishop(target_file, target_rank, color, specification, 'Q')
+    }
+    /**
+     * Finds what square the knight is on given the color and target square information
+     * @param {String} target_file Required. The target file
+     * @param {String} target_rank Required. The target rank
+     * @param {String} color Required. The color
+     * @param {String} specification Required. If the notation specified any specifications
+     * @returns String
+     */
+    findKnight(target_file, target_rank, color, specification) {
+        // a knight will only be able to move to eight possible squares
+        // we will check them all
+
+        // check upper
+        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
+        const tf_loc = files.indexOf(target_file)
+        const tr_loc = Number(target_rank) - 1
+        const bd = this.fresh()
+
+        let squares_explore = []
+        if(tf_loc - 2 >= 0 && tr_loc + 1 < 8) {
+            squares_explore.push([tf_loc - 2, tr_loc + 1])
+        }
+        if(tf_loc - 1 >= 0 && tr_loc + 2 < 8) {
+            squares_explore.push([tf_loc - 1, tr_loc + 2])
+        }
+        if(tf_loc + 1 < 8 && tr_loc + 2 < 8) {
+            squares_explore.push([tf_loc + 1, tr_loc + 2])
+        }
+        if(tf_loc + 2 < 8 && tr_loc + 1 < 8) {
+            squares_explore.push([tf_loc + 2, tr_loc + 1])
+        }
+
+        // now lower spaces
+        if(tf_loc - 2 >= 0 && tr_loc - 1 >= 0) {
+            squares_explore.push([tf_loc - 2, tr_loc - 1])
+        }
+        if(tf_loc - 1 >= 0 && tr_loc - 2 >= 0) {
+            squares_explore.push([tf_loc - 1, tr_loc - 2])
+        }
+        if(tf_loc + 1 < 8 && tr_loc - 2 >= 0) {
+            squares_explore.push([tf_loc + 1, tr_loc - 2])
+        }
+        if(tf_loc + 2 < 8 && tr_loc - 1 >= 0) {
+            squares_explore.push([tf_loc + 2, tr_loc - 1])
+        }
+
+        // now partition over the squares to explore
+        for(var i = 0; i < squares_explore.length; i++) {
+            if(this.pieceAt(bd, squares_explore[i][0], squares_explore[i][1]) == `${color}N`) {
+                if(specification == null) {
+                    // knight found!
+                    return files[squares_explore[i][0]] + String(squares_explore[i][1] + 1)
+                }
+
+                // check if square meets specification
+                if(isNaN(specification)) {
+                    if(files[squares_explore[i][0]] == specification) {
+                        return files[squares_explore[i][0]] + String(squares_explore[i][1] + 1) 
+                    }
+                    continue
+                }
+
+                if(Number(specification) == squares_explore[i][1] + 1) {
+                    return files[squares_explore[i][0]] + String(squares_explore[i][1] + 1)
+                }
+            }
+        }
+
+        return null
+    }
+}
+
+/**
+ * A interpreter for the pgn
+ */
+class PGNInterpreter {
+
+    /**
+     * Constructs the interpreter given the parsed nodes
+     * @param {Array<PGNNode>} nodes Required. The nodes parsed
+     */
+    constructor(nodes) {
+        this.nodes = nodes
+        this.bd = new PGNBoard()
+        this.white = ''
+        this.black = ''
+        /**
+         * Additional settings for interpreting
+         */
+        this.settings = {
+            /**
+             * If every move should be checked for legality (checks, pins, castling rules) and rejected when illegal
+             */
+            strict: false,
+            /**
+             * If errors should be put in diagnostics instead of stopping the game from being read.
+             * A move that can't be played ends its line there, so the moves before it are kept
+             */
+            recover: false
+        }
+        // DO NOT MODIFY THE LOWER VARIABLES!
+        // INTERNAL USE ONLY!
+        this.ply = 0 // number of half-moves played so far
+        this.turn = 'W' // the color to move
+        this.castling = 'KQkq' // castling rights left (same format as in FEN, see PGNBoard.readCastling)
+        this.en_passant_square = '-' // square behind a pawn that just moved two squares
+        this.halfmove = 0 // half-moves since the last capture or pawn move
+        this.fullmove = 1 // number of the move being played
+        this.current_node = this.bd.root // node in the move tree of the last move played
+        this.reported_end = false // if moves after the end of the game were already reported
+        this.in_variation = false // if the nodes are a variation (which has no result of its own)
+        this.read_result = false // if the result at the end of the movetext was read
+        this.stopped = false // if a move couldn't be played while recovering, so the rest of the line is skipped
+        this.source = null // the node or move being interpreted, which errors and diagnostics point at
+    }
+
+    /**
+     * Interprets the node given the detail
+     * @param {PGNDetail} i Required. The detail of the node
+     */
+    interpretDetail(i) {
+        if(i.type.toLowerCase() == 'white') {
+            this.white = i.value
+        } else if(i.type.toLowerCase() == 'black') {
+            this.black = i.value
+        }
+        // the game may start from a custom position
+        if(i.type.toLowerCase() == 'fen') {
+            this.setupFEN(i.value)
+        }
+        if(i.type.toLowerCase() == 'result' && !RESULT_TYPES.has(i.value)) {
+            this.report('warning', 'invalid_result_tag', `The Result tag "${i.value}" is not one of 1-0, 0-1, 1/2-1/2 or *`)
+        }
+        if(this.bd.header[i.type.toLowerCase()] !== undefined) {
+            this.report('warning', 'duplicate_tag', `The ${i.type} tag is given more than once, only its last value "${i.value}" is kept in the header`)
+        }
+        // load other data into board
+        this.bd.header[i.type.toLowerCase()] = i.value
+        this.bd.tags.push({name: i.type, value: i.value})
+    }
+    /**
+     * Starts the game from the position given by an FEN
+     * @param {String} fen Required. The FEN
+     * @throws An error if the FEN is invalid or moves were already played
+     */
+    setupFEN(fen) {
+        if(this.ply > 0) {
+            throw new InterpretError('The FEN header must come before any moves')
+        }
+
+        const state = this.bd.loadFEN(fen)
+        this.turn = state.turn
+        this.castling = state.castling
+        this.en_passant_square = state.en_passant
+        this.halfmove = state.halfmove
+        this.fullmove = state.fullmove
+    }
+    /**
+     * Finds where the king and rook start and end when castling in the current position
+     * @param {Boolean} kingside Required. If kingside castling is played
+     * @param {String} color Required. The color castling
+     * @returns Object | null (see PGNBoard.castlingSquares)
+     */
+    castlingSquares(kingside, color) {
+        return this.bd.castlingSquares(this.bd.fresh(), this.castling, kingside, color)
+    }
+    /**
+     * Converts the move to something machine readable
+     * @param {Object} move Required. The move extracted
+     * @param {String} color Required. The color to inspect on
+     * @returns Array<String>
+     */
+    getMachineMove(move, color) {
+        let machine_move = new Array(2)
+        const tf = move.target_square.substring(0, 1)
+        const tr = move.target_square.substring(1, 2)
+        let spec = null
+        if(move.from_file !== null) {
+            spec = move.from_file
+        }
+        if(move.from_rank !== null) {
+            spec = move.from_rank
+        }
+        // a full square was given for the piece (e.g. 'Qh4e1' or 'Ng1-f3'), so only the piece on it can be meant
+        if(move.piece_type !== 'P' && move.from_file !== null && move.from_rank !== null) {
+            const candidates = this.bd.findCandidates(move, color)
+            if(candidates.length == 0) {
+                return []
+            }
+            return [candidates[0], move.target_square]
+        }
+        // check if move is pawn move
+        if(move.piece_type == 'P') {
+            const original_file = (move.from_file != null ? move.from_file : move.target_square.substring(0, 1))
+            const target_square = move.target_square
+            const pos = this.bd.findPawn(original_file, target_square, color)
+            if(pos == null) {
+                return []
+            }
+            machine_move[0] = pos[0] + pos[1]
+            machine_move[1] = target_square
+        } else if(move.piece_type == 'K') {
+            // this is easy!
+            // just search for the king
+            const pos = this.bd.findKing(tf, tr, color)
+            if(pos == null) {
+                return []
+            }
+            machine_move[0] = pos
+            machine_move[1] = move.target_square
+        } else if(move.piece_type == 'Q') {
+            const pos = this.bd.findQueen(tf, tr, color, spec)
+            if(pos == null) {
+                return []
+            }
+            machine_move[0] = pos
+            machine_move[1] = move.target_square
+        } else if(move.piece_type == 'R') {
+            const pos = this.bd.findRook(tf, tr, color, spec)
+            if(pos == null) {
+                return []
+            }
+            machine_move[0] = pos
+            machine_move[1] = move.target_square
+        } else if(move.piece_type == 'B') {
+            const pos = this.bd.findBishop(tf, tr, color, spec)
+            if(pos == null) {
+                return []
+            }
+            machine_move[0] = pos
+            machine_move[1] = move.target_square
+        } else if(move.piece_type == 'N') {
+            const pos = this.bd.findKnight(tf, tr, color, spec)
+            if(pos == null) {
+                return []
+            }
+            machine_move[0] = pos
+            machine_move[1] = move.target_square
+        }
+
+        return machine_move
+    }
+    /**
+     * Writes the move in short notation (as it was written in the PGN if possible)
+     * @param {Object} move Required. The move extracted
+     * @returns String
+     */
+    notation(move) {
+        // use what was written if we have it
+        if(move.san != null) {
+            return move.san
+        }
+
+        if(move.piece_type == 'castle_king') {
+            return 'O-O'
+        } else if(move.piece_type == 'castle_queen') {
+            return 'O-O-O'
+        } else if(move.piece_type == 'P') {
+            let n = (move.from_file !== null ? move.from_file + 'x' : '') + move.target_square
+            if(move.from_rank !== null) {
+                n += '=' + move.from_rank
+            }
+            return n
+        }
+
+        return move.piece_type + (move.from_file !== null ? move.from_file : '') + (move.from_rank !== null ? move.from_rank : '') + move.target_square
+    }
+    /**
+     * Makes the error for an illegal move on the current ply
+     * @param {String} problem Required. Why the move is illegal
+     * @param {Object} move Required. The move extracted
+     * @returns InterpretError
+     */
+    illegalMove(problem, move) {
+        const san = this.notation(move)
+        const move_name = this.fullmove + (this.turn == 'W' ? '. ' : '... ') + san
+        return new InterpretError(`Illegal move at ply ${this.ply} (${move_name}): ${problem}`, this.ply, san)
+    }
+    /**
+     * Makes sure castling is allowed in the current position (strict mode only)
+     * @param {Object} squares Required. Where the king and rook start and end (see castlingSquares)
+     * @param {String} color Required. The color castling
+     * @param {Object} move Required. The move extracted
+     * @throws An error if the castle is illegal
+     */
+    assertCastleLegal(squares, color, move) {
+        const problem = this.bd.castlingProblem(this.bd.fresh(), squares, color)
+        if(problem !== null) {
+            throw this.illegalMove(problem, move)
+        }
+    }
+    /**
+     * Makes sure the pawn found for the move actually moves by the pawn rules (strict mode only)
+     * @param {Array<String>} machine_move Required. The from and to squares
+     * @param {Object} move Required. The move extracted
+     * @param {String} color Required. The color to inspect on
+     * @throws An error if the pawn cannot make the move
+     */
+    assertPawnMove(machine_move, move, color) {
+        const bd = this.bd.fresh()
+        const from = this.bd.squareToIndex(machine_move[0])
+        const to = this.bd.squareToIndex(machine_move[1])
+        const dir = (color == 'W' ? 1 : -1)
+        const enemy = (color == 'W' ? 'B' : 'W')
+        if(from[1] < 0 || from[1] >= 8 || this.bd.pieceAt(bd, from[0], from[1]) !== `${color}P`) {
+            throw this.illegalMove('no pawn can reach the target square', move)
+        }
+
+        const target = this.bd.pieceAt(bd, to[0], to[1])
+        if(from[0] == to[0]) {
+            // pushes need empty squares
+            const single = to[1] - from[1] == dir && this.bd.isEmptySquare(target)
+            const double = to[1] - from[1] == 2 * dir && from[1] == (color == 'W' ? 1 : 6) && this.bd.isEmptySquare(this.bd.pieceAt(bd, from[0], from[1] + dir)) && this.bd.isEmptySquare(target)
+            if(!single && !double) {
+                throw this.illegalMove('the pawn is blocked', move)
+            }
+        } else {
+            if(Math.abs(to[0] - from[0]) !== 1 || to[1] - from[1] !== dir) {
+                throw this.illegalMove('no pawn can reach the target square', move)
+            }
+            if(this.bd.isEmptySquare(target)) {
+                // only en passant is possible here, so the enemy pawn must have just moved two squares past us
+                const ep_ok = machine_move[1] == this.en_passant_square && this.bd.pieceAt(bd, to[0], from[1]) == `${enemy}P`
+                if(!ep_ok) {
+                    throw this.illegalMove('there is nothing to capture on the target square', move)
+                }
+            } else if(target.substring(0, 1) !== enemy) {
+                throw this.illegalMove('the target square is occupied by a piece of the same color', move)
+            }
+        }
+
+        // pawns reaching the last rank must promote
+        const last_rank = (color == 'W' ? 7 : 0)
+        if(to[1] == last_rank && (move.from_rank === null || !['Q', 'R', 'B', 'N'].includes(move.from_rank.toUpperCase()))) {
+            throw this.illegalMove('a pawn reaching the last rank must promote to a queen, rook, bishop or knight', move)
+        }
+        if(to[1] !== last_rank && move.from_rank !== null) {
+            throw this.illegalMove('a pawn can only promote on the last rank', move)
+        }
+    }
+    /**
+     * Converts the move to something machine readable, making sure it is legal (strict mode only)
+     * @param {Object} move Required. The move extracted
+     * @param {String} color Required. The color to inspect on
+     * @returns Array<String>
+     * @throws An error if the move is illegal or ambiguous
+     */
+    getLegalMachineMove(move, color) {
+        if(move.piece_type == 'P') {
+            const machine_move = this.getMachineMove(move, color)
+            if(machine_move.length !== 0) {
+                this.assertPawnMove(machine_move, move, color)
+            }
+            return machine_move
+        }
+
+        const target = this.bd.squareToIndex(move.target_square)
+        if(this.bd.pieceAt(this.bd.fresh(), target[0], target[1]).substring(0, 1) == color) {
+            throw this.illegalMove('the target square is occupied by a piece of the same color', move)
+        }
+
+        // only keep the pieces which don't expose the king
+        // this matters when the notation leaves out a specification because the other piece is pinned
+        const candidates = this.bd.findCandidates(move, color)
+        let legal = []
+        for(var i = 0; i < candidates.length; i++) {
+            const after = this.bd.move(candidates[i], move.target_square, this.bd.fresh())
+            if(!this.bd.isInCheck(after, color)) {
+                legal.push(candidates[i])
+            }
+        }
+
+        if(candidates.length == 0) {
+            return []
+        }
+        if(legal.length == 0) {
+            throw this.illegalMove('the move leaves the king in check', move)
+        }
+        if(legal.length > 1) {
+            throw this.illegalMove(`the move is ambiguous between the pieces on ${legal.join(', ')}`, move)
+        }
+
+        return [legal[0], move.target_square]
+    }
+    /**
+     * Fills in the details of a move written in long algebraic or coordinate notation (e.g. 'Ng1-f3' or 'e2e4') from the piece on its starting square
+     * @param {Object} move Required. The move extracted
+     * @param {String} color Required. The color playing the move
+     * @throws An error if the piece written is not on the starting square
+     */
+    resolveCoordinates(move, color) {
+        const from = this.bd.squareToIndex(move.from_square)
+        const piece = this.bd.pieceAt(this.bd.fresh(), from[0], from[1])
+        if(this.bd.isEmptySquare(piece) || piece.substring(0, 1) !== color) {
+            throw new InterpretError(`Cannot interpret move ${this.notation(move)} because there is no ${color == 'W' ? 'white' : 'black'} piece on ${move.from_square}`, this.ply, this.notation(move))
+        }
+        const piece_type = piece.substring(1, 2)
+        if(move.piece_type !== null && move.piece_type !== piece_type) {
+            throw new InterpretError(`Cannot interpret move ${this.notation(move)} because the piece on ${move.from_square} is not a ${move.piece_type}`, this.ply, this.notation(move))
+        }
+
+        // the king moving onto its own rook is castling (as written in Chess960, e.g. 'b1a1'),
+        // and so is the king moving two squares from its starting square in standard chess (e.g. 'e1g1')
+        const home = (color == 'W' ? '1' : '8')
+        const to = this.bd.squareToIndex(move.target_square)
+        if(piece_type == 'K' && this.bd.pieceAt(this.bd.fresh(), to[0], to[1]) == `${color}R`) {
+            move.piece_type = (to[0] > from[0] ? 'castle_king' : 'castle_queen')
+            return
+        }
+        if(piece_type == 'K' && !this.bd.chess960 && move.from_square == 'e' + home && (move.target_square == 'g' + home || move.target_square == 'c' + home)) {
+            move.piece_type = (move.target_square.substring(0, 1) == 'g' ? 'castle_king' : 'castle_queen')
+            return
+        }
+
+        move.piece_type = piece_type
+        move.from_file = move.from_square.substring(0, 1)
+        if(piece_type !== 'P') {
+            // for pawns, from_rank already holds the promotion piece
+            move.from_rank = move.from_square.substring(1, 2)
+        }
+    }
+    /**
+     * Interprets a single half-move for the given color
+     * @param {Object} move Required. The move extracted
+     * @param {String} color Required. The color playing the move
+     * @throws An error if the move cannot be determined
+     */
+    interpretHalfMove(move, color) {
+        this.source = move
+        this.ply += 1
+        const side = (color == 'W' ? 'White' : 'Black')
+        if(color !== this.turn) {
+            throw new InterpretError(`${side} cannot move at ply ${this.ply} because it is ${this.turn == 'W' ? 'White' : 'Black'}'s turn`, this.ply, this.notation(move))
+        }
+        const record = new PGNMoveRecord(this.ply, this.fullmove, color, this.notation(move))
+        record.clock = move.clock
+        record.elapsed = move.elapsed
+        record.evaluation = move.evaluation
+        // nothing can be played once the game is over
+        this.reportEnding(move)
+        try {
+            this.playHalfMove(move, color, record)
+        } catch (error) {
+            // stalemate is only looked for once a move can't be played from the position (see recordMove)
+            this.settleNode(this.current_node)
+            this.reportEnding(move)
+            throw error
+        }
+    }
+    /**
+     * Reports a move played after the game ended (only the first one in the line)
+     * @param {Object} move Required. The move extracted
+     * @throws An error in strict mode if the game ended in checkmate or stalemate
+     */
+    reportEnding(move) {
+        const status = this.current_node.status
+        const ending = status.ending()
+        if(ending !== null && !this.reported_end) {
+            this.reported_end = true
+            this.report((status.checkmate || status.stalemate ? 'error' : 'warning'), 'moves_after_end', `The game already ended in ${ending} before ply ${this.ply} (${this.notation(move)})`, this.notation(move))
+        }
+    }
+    /**
+     * Finds checkmate and stalemate in the status of a node, if they weren't looked for yet
+     * @param {PGNMoveNode} node Required. The node
+     * @param {Boolean | null} [can_move=null] Optional. If the side to move has a legal move, when that is known already
+     */
+    settleNode(node, can_move = null) {
+        this.bd.settleStatus(node.status, node.position, node.state, can_move)
+    }
+    /**
+     * Plays a single half-move for the given color (see interpretHalfMove)
+     * @param {Object} move Required. The move extracted
+     * @param {String} color Required. The color playing the move
+     * @param {PGNMoveRecord} record Required. The record of the move, filled in as it is played
+     * @throws An error if the move cannot be determined
+     */
+    playHalfMove(move, color, record) {
+        const side = (color == 'W' ? 'White' : 'Black')
+        if(move.from_square != null) {
+            this.resolveCoordinates(move, color)
+        }
+
+        // check for castling
+        if(move.piece_type == 'castle_king' || move.piece_type == 'castle_queen') {
+            const kingside = move.piece_type == 'castle_king'
+            const castle_side = (kingside ? 'kingside' : 'queenside')
+            // the right is lost once the king or that rook moves (or the rook is captured)
+            const squares = this.castlingSquares(kingside, color)
+            if(squares === null) {
+                throw new InterpretError(`${side} cannot castle ${castle_side} because it lost the right to castle on that side`, this.ply, this.notation(move))
+            }
+            // the king and rook must also really be there (an FEN can give rights without them)
+            const rank = (color == 'W' ? '1' : '8')
+            const rook_square = this.bd.indexToSquare(squares.rook_from[0], squares.rook_from[1])
+            if(squares.king_from[0] == -1 || (!this.bd.chess960 && squares.king_from[0] !== 4)) {
+                throw new InterpretError(`${side} cannot castle ${castle_side} because the king is not on ${this.bd.chess960 ? 'its first rank' : 'e' + rank}`, this.ply, this.notation(move))
+            }
+            if(this.bd.pieceAt(this.bd.fresh(), squares.rook_from[0], squares.rook_from[1]) !== `${color}R`) {
+                throw new InterpretError(`${side} cannot castle ${castle_side} because there is no rook on ${rook_square}`, this.ply, this.notation(move))
+            }
+            // castling over pieces would take them off the board, so it is never played (checks are only looked at in strict mode)
+            if(this.bd.castlingBlocked(this.bd.fresh(), squares)) {
+                throw new InterpretError(`${side} cannot castle ${castle_side} because there are pieces between the king and the rook`, this.ply, this.notation(move))
+            }
+            if(this.settings.strict) {
+                this.assertCastleLegal(squares, color, move)
+            }
+            const legal = this.settings.strict || this.bd.castlingProblem(this.bd.fresh(), squares, color) === null
+            this.bd.memory_positions.push(this.bd.keepPosition(this.bd.castle(this.bd.fresh(), squares, color)))
+            this.updateState(color, 'K', null, null, false)
+
+            record.from = this.bd.indexToSquare(squares.king_from[0], squares.king_from[1])
+            record.to = this.bd.indexToSquare(squares.king_to[0], squares.king_to[1])
+            record.piece = `${color}K`
+            record.castle = (kingside ? 'K' : 'Q')
+            if(move.from_square != null) {
+                // castling is found from the king moving onto its rook, which works in standard chess as well as Chess960
+                record.san = this.coordinateSAN(record, rook_square)
+            }
+            const castled = [[`${color}K`, squares.king_from], [`${color}K`, squares.king_to], [`${color}R`, squares.rook_from], [`${color}R`, squares.rook_to]]
+            this.recordMove(move, color, record, castled, legal)
+            return
+        }
+
+        const machine_move = (this.settings.strict ? this.getLegalMachineMove(move, color) : this.getMachineMove(move, color))
+        if(machine_move.length === 0) {
+            throw new InterpretError(`Cannot interpret move ${this.notation(move)} because no ${color == 'W' ? 'white' : 'black'} piece can reach ${move.target_square}`, this.ply, this.notation(move))
+        }
+        const before = this.bd.fresh()
+        const from = this.bd.squareToIndex(machine_move[0])
+        const to = this.bd.squareToIndex(machine_move[1])
+        const en_passant = move.piece_type == 'P' && from[0] !== to[0] && this.bd.isEmptySquare(this.bd.pieceAt(before, to[0], to[1]))
+        const capture = !this.bd.isEmptySquare(this.bd.pieceAt(before, to[0], to[1])) || en_passant
+        const should_promote = move.piece_type == 'P' && move.from_rank !== null
+        const promote_type = move.from_rank
+        record.from = this.bd.indexToSquare(from[0], from[1])
+        record.to = this.bd.indexToSquare(to[0], to[1])
+        record.piece = this.bd.pieceAt(before, from[0], from[1])
+        record.captured = (en_passant ? this.bd.pieceAt(before, to[0], from[1]) : (capture ? this.bd.pieceAt(before, to[0], to[1]) : null))
+        record.promotion = (should_promote ? promote_type.toUpperCase() : null)
+        record.en_passant = en_passant
+
+        const next = this.bd.move(machine_move[0], machine_move[1], before, (should_promote ? promote_type : null))
+        if(this.settings.strict && this.bd.isInCheck(next, color)) {
+            throw this.illegalMove('the move leaves the king in check', move)
+        }
+        if(move.from_square != null) {
+            record.san = this.coordinateSAN(record, record.to)
+        }
+        const legal = this.settings.strict || this.bd.isLegalMove(before, color, this.en_passant_square, from, to)
+        this.bd.memory_positions.push(this.bd.keepPosition(next))
+        this.updateState(color, move.piece_type, machine_move[0], machine_move[1], capture)
+        let changed = [[record.piece, from], [this.bd.pieceAt(next, to[0], to[1]), to]]
+        if(capture) {
+            changed.push([record.captured, (en_passant ? [to[0], from[1]] : to)])
+        }
+        this.recordMove(move, color, record, changed, legal)
+    }
+    /**
+     * Makes the SAN of a move written in long algebraic or coordinate notation (e.g. 'Nf3' for 'g1f3'), from the position before it
+     * @param {PGNMoveRecord} record Required. The record of the move
+     * @param {String} to Required. The square the move goes to (the rook's square when castling)
+     * @returns String, the move as written if it isn't legal (only when illegal moves aren't checked)
+     */
+    coordinateSAN(record, to) {
+        const san = this.bd.makeMoveSAN(this.current_node.position, this.current_node.state, record.from, to, record.promotion)
+        return (san === null ? record.san : san)
+    }
+    /**
+     * Finishes the record of the move just played (check and mate) and adds it to the board and move tree
+     * @param {Object} move Required. The move extracted
+     * @param {String} color Required. The color that played the move
+     * @param {PGNMoveRecord} record Required. The record of the move
+     * @param {Array<Array>} changed Required. The pieces that left or landed on a square, as [piece, [file, rank]] (for updating the Zobrist hash)
+     * @param {Boolean} legal Required. If the move is known to be legal, which settles that the position before wasn't stalemate
+     */
+    recordMove(move, color, record, changed, legal) {
+        // the position before only has to be tried for stalemate if the move played from it wasn't legal
+        this.settleNode(this.current_node, (legal ? true : null))
+        this.reportEnding(move)
+
+        // the hash only changes by the pieces moved and what changed in the state, so it doesn't have to be made from scratch
+        // (whether en passant can be played is only found once for each position, and kept on its node)
+        const parent = this.current_node
+        const position = this.bd.memory_positions[this.bd.memory_positions.length - 1]
+        const state = this.bd.memory_states[this.bd.memory_states.length - 1]
+        const en_passant = this.bd.enPassantCapture(position, state)
+        let hash = parent.hash ^ ZOBRIST_KEYS.black ^ this.bd.hashEnPassant(parent.en_passant) ^ this.bd.hashEnPassant(en_passant)
+        for(var i = 0; i < changed.length; i++) {
+            // when illegal moves aren't checked, a move can even start from an empty square
+            if(!this.bd.isEmptySquare(changed[i][0])) {
+                hash ^= this.bd.hashSquare(changed[i][0], changed[i][1][0], changed[i][1][1])
+            }
+        }
+        if(state.castling !== parent.state.castling) {
+            hash ^= this.bd.hashCastling(parent.state.castling) ^ this.bd.hashCastling(state.castling)
+        }
+
+        this.addNode(move, color, record, hash, en_passant)
+        // the position after the move tells if it gave check or mate
+        record.check = this.current_node.status.check
+        record.mate = this.current_node.status.checkmate
+
+        this.bd.memory_moves.push(record)
+        this.bd.memory_status.push(this.current_node.status)
+        this.bd.memory_hashes.push(this.current_node.hash)
+        this.bd.forgetBoards()
+    }
+    /**
+     * Updates the side to move, castling rights, en passant square and move counters after a half-move
+     * @param {String} color Required. The color that moved
+     * @param {String} piece_type Required. The piece that moved (castling counts as a king move)
+     * @param {String | null} from Required. The square the piece moved from (null when castling)
+     * @param {String | null} to Required. The square the piece moved to (null when castling)
+     * @param {Boolean} capture Required. If the move captured a piece
+     */
+    updateState(color, piece_type, from, to, capture) {
+        let rights = ''
+        for(var i = 0; i < this.castling.length; i++) {
+            const right = this.castling.substring(i, i + 1)
+            if(right == '-') {
+                continue
+            }
+            // moving the king (castling included) loses both castling rights
+            if(piece_type == 'K' && (right == right.toUpperCase() ? 'W' : 'B') == color) {
+                continue
+            }
+            // a rook leaving (or getting captured on) its starting square loses that castling right
+            const rook_square = this.bd.castlingRookSquare(right)
+            if(rook_square == from || rook_square == to) {
+                continue
+            }
+            rights += right
+        }
+        // the rights are kept as they were if nothing changed, so the positions of a game share the string
+        if(rights !== this.castling.replace('-', '')) {
+            this.castling = (rights == '' ? '-' : rights)
+        }
+
+        // a pawn moving two squares can be captured en passant on the square it skipped
+        this.en_passant_square = '-'
+        if(piece_type == 'P' && Math.abs(Number(to.substring(1, 2)) - Number(from.substring(1, 2))) == 2) {
+            this.en_passant_square = squareName(from.substring(0, 1), String((Number(from.substring(1, 2)) + Number(to.substring(1, 2))) / 2))
+        }
+
+        this.halfmove = (piece_type == 'P' || capture ? 0 : this.halfmove + 1)
+        if(color == 'B') {
+            this.fullmove += 1
+        }
+        this.turn = (color == 'W' ? 'B' : 'W')
+
+        // remember the state for the position that was just pushed
+        this.bd.memory_states.push({
+            turn: this.turn,
+            castling: this.castling,
+            en_passant: this.en_passant_square,
+            halfmove: this.halfmove,
+            fullmove: this.fullmove
+        })
+    }
+    /**
+     * Adds the last position played to the move tree
+     * @param {Object} move Required. The move extracted
+     * @param {String} color Required. The color that played the move
+     * @param {PGNMoveRecord} record Required. The record of the move
+     * @param {BigInt} hash Required. The Zobrist hash of the position
+     * @param {String} en_passant Required. The en passant square if a pawn can really capture there, '-' otherwise
+     */
+    addNode(move, color, record, hash, en_passant) {
+        const node = new PGNMoveNode(this.current_node, move, color, this.ply, this.bd.memory_positions[this.bd.memory_positions.length - 1], this.bd.memory_states[this.bd.memory_states.length - 1], record)
+        node.hash = hash
+        node.en_passant = en_passant
+        // checkmate and stalemate are settled by the next move, or at the end of the line (see settleNode)
+        node.status = this.bd.makeStatus(node.position, node.state, node.parent, false, hash)
+        // most nodes only ever get one child, and an array grown by push keeps room for many more
+        this.current_node.children = this.current_node.children.concat(node)
+        this.current_node = node
+    }
+    /**
+     * Reports a problem which doesn't stop the game from being read (in strict mode, errors are thrown instead unless recovering)
+     * @param {String} severity Required. How bad the problem is ('error' or 'warning')
+     * @param {String} code Required. A short name for the kind of problem
+     * @param {String} message Required. The problem
+     * @param {String | null} [san=null] Optional. The notation of the move that caused the problem
+     * @throws An error in strict mode if the severity is 'error'
+     */
+    report(severity, code, message, san = null) {
+        if(this.settings.strict && !this.settings.recover && severity == 'error') {
+            throw new InterpretError(message, this.ply, san).at(this.source)
+        }
+        this.bd.diagnostics.push(new PGNDiagnostic(severity, code, message, this.ply, this.source))
+    }
+    /**
+     * Sets the result of the game, checking it against the Result tag
+     * @param {String} result Required. The result written at the end of the movetext (1-0, 0-1, 1/2-1/2 or *)
+     * @throws An error in strict mode if the result can't be right
+     */
+    interpretResult(result) {
+        this.read_result = true
+        this.bd.result_str = result
+        this.bd.result = RESULT_TYPES.get(result)
+
+        const tag = this.bd.header.result
+        // a tag that isn't a result at all was already reported as invalid_result_tag
+        if(tag !== undefined && RESULT_TYPES.has(tag) && tag !== result) {
+            this.report('warning', 'result_tag_mismatch', `The Result tag is "${tag}" but the movetext ends with "${result}"`)
+        }
+        this.checkResult(result)
+    }
+    /**
+     * Makes do without the result at the end of the movetext, taking it from the Result tag if there is one
+     * @throws An error in strict mode if the result can't be right
+     */
+    interpretMissingResult() {
+        const tag = this.bd.header.result
+        if(tag === undefined || !RESULT_TYPES.has(tag)) {
+            this.report('warning', 'missing_result', 'The movetext doesn\'t end with a result (1-0, 0-1, 1/2-1/2 or *)')
+            return
+        }
+
+        this.report('warning', 'missing_result', `The movetext doesn't end with a result, so the one of the Result tag ("${tag}") is used`)
+        this.bd.result_str = tag
+        this.bd.result = RESULT_TYPES.get(tag)
+        this.checkResult(tag)
+    }
+    /**
+     * Checks the result of the game against the final position
+     * @param {String} result Required. The result of the game
+     * @throws An error in strict mode if the result can't be right
+     */
+    checkResult(result) {
+        // the final position isn't known if the line was cut short
+        if(this.stopped) {
+            return
+        }
+        this.settleNode(this.current_node)
+        const status = this.current_node.status
+        const ending = status.ending()
+        if(ending === null) {
+            return
+        }
+        // the side to move is the one who got checkmated
+        const expected = (status.checkmate ? (this.current_node.state.turn == 'W' ? '0-1' : '1-0') : '1/2-1/2')
+        if(result !== expected) {
+            // only checkmate and stalemate can't be argued with, the rest are left to the arbiter
+            // ('*' only says the result wasn't recorded)
+            const severity = ((status.checkmate || status.stalemate) && result !== '*' ? 'error' : 'warning')
+            this.report(severity, 'result_position_mismatch', `The game ends in ${ending} (which means ${expected}) but the result is "${result}"`)
+        }
+    }
+    /**
+     * Makes the interpreter continue from a node in the move tree instead of the starting position
+     * @param {PGNMoveNode} node Required. The node to continue from
+     */
+    startFrom(node) {
+        this.bd.memory_positions = [node.position]
+        this.bd.memory_states = [node.state]
+        this.bd.memory_moves = [node.record]
+        this.bd.memory_status = [node.status]
+        this.bd.memory_hashes = [node.hash]
+        this.bd.root = node
+        this.current_node = node
+        this.ply = node.ply
+        this.turn = node.state.turn
+        this.castling = node.state.castling
+        this.en_passant_square = node.state.en_passant
+        this.halfmove = node.state.halfmove
+        this.fullmove = node.state.fullmove
+    }
+    /**
+     * Interprets a variation, which is played instead of the last move
+     * @param {PGNVariation} i Required. The variation
+     * @throws An error if any move in the variation cannot be determined
+     */
+    interpretVariation(i) {
+        if(this.current_node.parent === null) {
+            throw new InterpretError('A variation must come after the move it replaces')
+        }
+
+        // the variation gets its own interpreter, starting from the position before the last move
+        const interpreter = new PGNInterpreter(i.nodes)
+        interpreter.settings = this.settings
+        interpreter.in_variation = true
+        interpreter.bd.chess960 = this.bd.chess960
+        interpreter.bd.diagnostics = this.bd.diagnostics
+        interpreter.startFrom(this.current_node.parent)
+        interpreter.interpret()
+    }
+    /**
+     * Interprets the node given the move
+     * @param {PGNMove} i Required. The move
+     * @throws An error if the move cannot be determined
+     */
+    interpretMove(i) {
+        if(i.white_move !== null) {
+            this.interpretHalfMove(i.white_move, 'W')
+        }
+
+        // now do black if there even is a move to do
+        if(i.black_move !== null) {
+            this.interpretHalfMove(i.black_move, 'B')
+        }
+    }
+    /**
+     * Interpretes the nodes and logs all the memory boards into bd
+     */
+    interpret() {
+        // the variant changes how the FEN is read, so it has to be known before the other tags
+        for(var i = 0; i < this.nodes.length; i++) {
+            if(this.nodes[i] instanceof PGNDetail && this.nodes[i].type.toLowerCase() == 'variant') {
+                this.bd.chess960 = CHESS960_VARIANTS.has(this.nodes[i].value.toLowerCase().replace(/[\s_-]/g, ''))
+            }
+        }
+
+        for(var i = 0; i < this.nodes.length; i++) {
+            try {
+                this.interpretNode(this.nodes[i])
+            } catch (error) {
+                // point the error at what was being interpreted (errors from a variation already point inside it)
+                if(error instanceof InterpretError && error.start === null) {
+                    error.at(this.source)
+                }
+                if(!this.settings.recover || !(error instanceof InterpretError)) {
+                    throw error
+                }
+                this.bd.diagnostics.push(new PGNDiagnostic('error', 'interpret_error', error.message, (error.ply !== null ? error.ply : this.ply), error))
+                // the position is unknown after a move (or FEN) that couldn't be played, so nothing after it in this line can be played either
+                // a broken variation only loses itself
+                if(!(this.nodes[i] instanceof PGNVariation)) {
+                    this.stopped = true
+                }
+            }
+        }
+
+        if(!this.read_result && !this.in_variation) {
+            this.source = null
+            this.interpretMissingResult()
+        }
+        // the last position of the line has no move after it to settle its status
+        this.settleNode(this.current_node)
+    }
+    /**
+     * Interprets a single node
+     * @param {PGNNode} node Required. The node
+     * @throws An error if the node cannot be interpreted
+     */
+    interpretNode(node) {
+        this.source = node
+        if(node instanceof PGNDetail) {
+            this.interpretDetail(node)
+        } else if(node instanceof PGNMove && !this.stopped) {
+            this.interpretMove(node)
+        } else if(node instanceof PGNVariation && !this.stopped) {
+            this.interpretVariation(node)
+        } else if(node instanceof PGNResult) {
+            this.interpretResult(node.res)
+        } else if(node instanceof PGNSkipped) {
+            // we don't know what was played in what was skipped (it was already reported)
+            this.stopped = true
+        }
+    }
+}
+
+/**
+ * For writing a board back out as PGN text
+ */
+class PGNWriter {
+
+    /**
+     * Constructs the writer given the game to write
+     * @param {PGNBoard} pgn_board Required. The game to write
+     */
+    constructor(pgn_board) {
+        this.pgn_board = pgn_board
+        /**
+         * Additional settings for writing
+         */
+        this.settings = {
+            /**
+             * The maximum number of characters on a line of movetext
+             */
+            line_length: 80
+        }
+        // the Seven Tag Roster, which always comes first and in this order
+        this.roster = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result']
+        // proper names for tags the game doesn't spell out itself (e.g. ones added to the header by hand)
+        this.tag_names = new Map([
+            ['event', 'Event'], ['site', 'Site'], ['date', 'Date'], ['round', 'Round'], ['white', 'White'], ['black', 'Black'], ['result', 'Result'],
+            ['whiteelo', 'WhiteElo'], ['blackelo', 'BlackElo'], ['whitetitle', 'WhiteTitle'], ['blacktitle', 'BlackTitle'],
+            ['whitefideid', 'WhiteFideId'], ['blackfideid', 'BlackFideId'], ['whiteratingdiff', 'WhiteRatingDiff'], ['blackratingdiff', 'BlackRatingDiff'],
+            ['eco', 'ECO'], ['opening', 'Opening'], ['variation', 'Variation'], ['timecontrol', 'TimeControl'], ['termination', 'Termination'],
+            ['eventdate', 'EventDate'], ['utcdate', 'UTCDate'], ['utctime', 'UTCTime'], ['plycount', 'PlyCount'], ['annotator', 'Annotator'],
+            ['mode', 'Mode'], ['setup', 'SetUp'], ['fen', 'FEN'], ['variant', 'Variant']
+        ])
+    }
+    /**
+     * Gets the result to write, '*' if it is not known
+     * @returns String
+     */
+    result() {
+        return (RESULT_TYPES.has(this.pgn_board.result_str) ? this.pgn_board.result_str : '*')
+    }
+    /**
+     * Writes a single tag pair
+     * @param {String} name Required. The name of the tag
+     * @param {String} value Required. The value of the tag
+     * @returns String
+     */
+    writeTag(name, value) {
+        // quotes and backslashes inside the value must be escaped
+        const escaped = String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+        return `[${name} "${escaped}"]`
+    }
+    /**
+     * Writes the tag section
+     * @returns String
+     */
+    writeTags() {
+        const header = this.pgn_board.header
+        // the header only holds lowercased names, so names are taken as written in the game where possible
+        const names = new Map(this.tag_names)
+        const tags = this.pgn_board.tags
+        for(var i = 0; i < tags.length; i++) {
+            names.set(tags[i].name.toLowerCase(), tags[i].name)
+        }
+        const defaults = new Map([['Date', '????.??.??'], ['Result', this.result()]])
+        let lines = []
+
+        for(var i = 0; i < this.roster.length; i++) {
+            const key = this.roster[i].toLowerCase()
+            let value = (header[key] !== undefined ? header[key] : (defaults.has(this.roster[i]) ? defaults.get(this.roster[i]) : '?'))
+            if(key == 'result') {
+                // the tag must agree with the result written at the end of the movetext
+                value = this.result()
             }
+            lines.push(this.writeTag(this.roster[i], value))
         }
 
-        // in that case we need to check each file carefully for every rank
-        for(var i = 0; i < 8; i++) {
-            if(bd[i][tf_loc] == `${color}${p_check}`) {
-                // we will run the exact same checks
-                if(specification == null) {
-                    let squares_ok = true
+        // then every other tag in the order it was read
+        const keys = Object.keys(header)
+        for(var i = 0; i < keys.length; i++) {
+            if(this.roster.includes(this.tag_names.get(keys[i]))) {
+                continue
+            }
+            const name = (names.has(keys[i]) ? names.get(keys[i]) : keys[i].substring(0, 1).toUpperCase() + keys[i].substring(1))
+            if(name == 'FEN' && header.setup === undefined) {
+                // the standard wants SetUp to come with FEN
+                lines.push(this.writeTag('SetUp', '1'))
+            }
+            lines.push(this.writeTag(name, header[keys[i]]))
+        }
 
-                    let start_check = Math.min(i, tr_loc)
-                    let stop_check = Math.max(i, tr_loc)
-                    for(var z = start_check + 1; z < stop_check; z++) {
-                        if(bd[z][tf_loc] !== '&nbsp;') {
-                            squares_ok = false
-                            break
-                        }
-                    }
+        return lines.join('\n')
+    }
+    /**
+     * Adds a comment to the movetext
+     * @param {String} comment Required. The comment
+     * @param {Array<String>} words Required. The words of the movetext so far
+     */
+    writeComment(comment, words) {
+        // comments can't hold '}' since that ends them
+        const text = comment.replace(/}/g, '').trim()
+        words.push('{' + text + '}')
+    }
+    /**
+     * Adds a single move to the movetext
+     * @param {PGNMoveNode} node Required. The node of the move
+     * @param {Boolean} force_number Required. If black's move number should be written (e.g. '12...')
+     * @param {Array<String>} words Required. The words of the movetext so far
+     */
+    writeMove(node, force_number, words) {
+        const move = node.move
+        for(var i = 0; i < move.comments_before.length; i++) {
+            this.writeComment(move.comments_before[i], words)
+        }
 
-                    if(!squares_ok) {
-                        continue
-                    }
+        if(node.color == 'W') {
+            words.push(node.record.move_number + '.')
+        } else if(force_number || move.comments_before.length > 0) {
+            words.push(node.record.move_number + '...')
+        }
+        words.push(node.record.san)
 
-                    return target_file + String(i + 1)
-                }
+        for(var i = 0; i < move.nags.length; i++) {
+            words.push('$' + move.nags[i])
+        }
+        const comments = this.commentsAfter(move)
+        for(var i = 0; i < comments.length; i++) {
+            this.writeComment(comments[i], words)
+        }
+    }
+    /**
+     * Gets the comments to write after a move, where its clock and evaluation commands go first
+     * @param {Object} move Required. The move
+     * @returns Array<String>
+     */
+    commentsAfter(move) {
+        let commands = []
+        if(move.clock != null) {
+            commands.push(`[%clk ${this.writeTime(move.clock)}]`)
+        }
+        if(move.elapsed != null) {
+            commands.push(`[%emt ${this.writeTime(move.elapsed)}]`)
+        }
+        if(move.evaluation != null) {
+            const score = (move.evaluation.mate !== null ? '#' + move.evaluation.mate : (move.evaluation.cp / 100).toFixed(2))
+            commands.push(`[%eval ${score}${move.evaluation.depth !== null ? ',' + move.evaluation.depth : ''}]`)
+        }
+        if(commands.length == 0) {
+            return move.comments_after
+        }
 
-                if(isNaN(specification)) {
-                    if(target_file == specification) {
-                        return target_file + String(i + 1)
-                    }
-                    continue
+        // the commands share the first comment
+        let comments = move.comments_after.slice()
+        comments[0] = (comments.length > 0 ? commands.join(' ') + ' ' + comments[0] : commands.join(' '))
+        return comments
+    }
+    /**
+     * Writes a time for a clock command as H:MM:SS
+     * @param {Number} seconds Required. The time in seconds
+     * @returns String
+     */
+    writeTime(seconds) {
+        // rounded to milliseconds before splitting, so 59.9996 seconds becomes 0:01:00 rather than 0:00:60
+        const millis = Math.round(seconds * 1000)
+        const hours = Math.floor(millis / 3600000)
+        const minutes = Math.floor((millis % 3600000) / 60000)
+        const rest = (millis % 60000) / 1000
+        return `${hours}:${String(minutes).padStart(2, '0')}:${rest < 10 ? '0' : ''}${rest}`
+    }
+    /**
+     * Adds a line of moves (the main line or a variation) to the movetext
+     * @param {PGNMoveNode} node Required. The node of the first move in the line
+     * @param {Array<String>} words Required. The words of the movetext so far
+     */
+    writeLine(node, words) {
+        let force_number = true // the first move of a line always has its number
+        let current = node
+        while(current !== null) {
+            this.writeMove(current, force_number, words)
+            force_number = this.commentsAfter(current.move).length > 0
+
+            // the variations replacing this move come right after it
+            // (a variation's own siblings are written by the line it branches from)
+            const parent = current.parent
+            if(parent.children[0] === current) {
+                for(var i = 1; i < parent.children.length; i++) {
+                    words.push('(')
+                    this.writeLine(parent.children[i], words)
+                    words.push(')')
+                    force_number = true
                 }
+            }
 
-                if(Number(specification) == i + 1) {
-                    return target_file + String(i + 1)
-                }
+            current = current.next()
+        }
+    }
+    /**
+     * Splits a comment into the parts a line can end between, which is at every single space.
+     * It isn't broken where there are more spaces (they would be read as one) or before a '%' (a line starting with it is skipped)
+     * @param {String} comment Required. The comment along with its braces
+     * @returns Array<String>
+     */
+    commentParts(comment) {
+        const pieces = comment.split(' ')
+        let parts = [pieces[0]]
+        for(var i = 1; i < pieces.length; i++) {
+            const last = parts.length - 1
+            if(pieces[i] == '' || pieces[i].startsWith('%') || parts[last].endsWith(' ')) {
+                parts[last] += ' ' + pieces[i]
+            } else {
+                parts.push(pieces[i])
             }
         }
 
-        return null
+        return parts
     }
     /**
-     * Quick partitioning for bishop
-     * @param {Number} start_f Required. Starting position for file
-     * @param {Number} start_r Required. Starting position for rank
-     * @param {Number} i_increment Required. Direction i increments
-     * @param {Number} z_increment Required. Direction z increments
-     * @param {Number} i_stop Required. Number i stops at
-     * @param {Number} z_stop Required. Number z stops at
-     * @param {String} color Required. Color
-     * @param {String} specification Required. Specification
-     * @param {String} p_check INTERNAL USE ONLY!
+     * Wraps the words of the movetext into lines
+     * @param {Array<String>} words Required. The words
      * @returns String
      */
-    bishopPartition(start_f, start_r, i_increment, z_increment, i_stop, z_stop, color, specification, p_check = 'B') {
-        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
-        const bd = this.fresh()
-        var i = start_f
-        var z = start_r
-        while(i != i_stop && z != z_stop) {
-            if(bd[z][i] == `${color}${p_check}`) {
-                // check for specifications
-                if(specification == null) {
-                    return files[i] + String(z + 1)
-                }
-
-                // do usual checks
-                if(isNaN(specification)) {
-                    if(files[i] == specification) {
-                        return files[i] + String(z + 1)
-                    }
-                    i += i_increment
-                    z += z_increment
+    wrap(words) {
+        let lines = []
+        let line = ''
+        for(var i = 0; i < words.length; i++) {
+            // comments are broken over lines like the rest, since a line break in a comment is read as a space
+            const parts = (words[i].startsWith('{') ? this.commentParts(words[i]) : [words[i]])
+            for(var z = 0; z < parts.length; z++) {
+                // no space needed right after '(' or before ')'
+                const tight = line == '' || (z == 0 && ((i > 0 && words[i - 1] == '(') || words[i] == ')'))
+                const joined = (tight ? line + parts[z] : line + ' ' + parts[z])
+                if(joined.length > this.settings.line_length && line !== '') {
+                    lines.push(line)
+                    line = parts[z]
                     continue
                 }
-                if(z + 1 == Number(specification)) {
-                    return files[i] + String(z + 1)
-                }
+                line = joined
             }
-            i += i_increment
-            z += z_increment
+        }
+        if(line !== '') {
+            lines.push(line)
         }
 
-        return null
+        return lines.join('\n')
     }
     /**
-     * Finds what square the bishop is on given the color and target square information
-     * @param {String} target_file Required. The target file
-     * @param {String} target_rank Required. The target rank
-     * @param {String} color Required. The color
-     * @param {String} specification Required. If the notation specified any specifications
-     * @param {string} [p_check='B'] INTERNAL USE ONLY!
+     * Writes the whole game
      * @returns String
      */
-    findBishop(target_file, target_rank, color, specification, p_check = 'B') {
-        // there really is no 'best' way to approach this
-        // just look for diagonals around the fresh board
-        const bd = this.fresh()
-        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
-        const tf_loc = files.indexOf(target_file)
-        const tr_loc = Number(target_rank) - 1
-
-        // up-left
-        const ul = this.bishopPartition(tf_loc, tr_loc, -1, 1, -1, 8, color, specification, p_check)
-        if(ul !== null) {
-            return ul
-        }
-
-        // up-right
-        const ur = this.bishopPartition(tf_loc, tr_loc, 1, 1, 8, 8, color, specification, p_check)
-        if(ur !== null) {
-            return ur
+    write() {
+        let words = []
+        if(this.pgn_board.root.children.length > 0) {
+            this.writeLine(this.pgn_board.root.children[0], words)
         }
+        words.push(this.result())
 
-        // down-left
-        const dl = this.bishopPartition(tf_loc, tr_loc, -1, -1, -1, -1, color, specification, p_check)
-        if(dl !== null) {
-            return dl
-        }
+        return this.writeTags() + '\n\n' + this.wrap(words) + '\n'
+    }
+}
 
-        // down-right
-        const dr = this.bishopPartition(tf_loc, tr_loc, 1, -1, 8, -1, color, specification, p_check)
+/**
+ * A game built move by move, where every move is checked for legality before it is played
+ */
+class PGNGame {
 
-        return dr
+    /**
+     * Constructs the game from the starting position or the given one
+     * @param {String | null} [fen=null] Optional. The FEN of the position to start from
+     * @param {Boolean} [chess960=false] Optional. If the game is Chess960 (which changes how castling and the FEN are read)
+     * @throws An error if the FEN is invalid
+     */
+    constructor(fen = null, chess960 = false) {
+        this.interpreter = new PGNInterpreter([])
+        // illegal moves are always rejected
+        this.interpreter.settings.strict = true
+        this.pgn_board = this.interpreter.bd
+        if(chess960) {
+            this.pgn_board.chess960 = true
+            this.interpreter.interpretDetail(new PGNDetail('Variant', 'Chess960'))
+        }
+        if(fen !== null) {
+            this.interpreter.interpretDetail(new PGNDetail('SetUp', '1'))
+            this.interpreter.interpretDetail(new PGNDetail('FEN', fen))
+        }
     }
     /**
-     * Finds what square the queen is on given the color and target square information
-     * @param {String} target_file Required. The target file
-     * @param {String} target_rank Required. The target rank
-     * @param {String} color Required. The color
-     * @param {String} specification Required. If the notation specificed any specifications
-     * @returns String
+     * Plays a move, leaving the game as it was if the move can't be played.
+     * Its record always holds the move in SAN, no matter how it was given
+     * @param {String | Object} move Required. The move in any notation the reader understands (e.g. 'Nf3', 'Ng1-f3' or 'g1f3'),
+     * or an object with the squares of the move: {from, to, promotion?} (e.g. {from: 'e7', to: 'e8', promotion: 'Q'})
+     * @returns PGNMoveRecord
+     * @throws An error if the move can't be read or is illegal
      */
-    findQueen(target_file, target_rank, color, specification) {
-        // just call rook and bishop functions
-        const r = this.findRook(target_file, target_rank, color, specification, 'Q')
-        if(r !== null) {
-            return r
+    move(move) {
+        const half_move = this.readMove(typeof move == 'string' ? move : this.squaresText(move))
+        const node = this.interpreter.current_node
+        try {
+            this.interpreter.interpretHalfMove(half_move, this.interpreter.turn)
+        } catch (error) {
+            // nothing was added to the game, only the interpreter's own state has to be put back
+            this.restore(node)
+            throw error
+        }
+        this.pgn_board.key_position = this.pgn_board.memory_positions.length - 1
+
+        // the move is kept in SAN however it was given (e.g. 'g1f3' becomes 'Nf3')
+        const played = this.interpreter.current_node
+        const legal = this.pgn_board.makeLegalMoves(node.position, node.state, played.record.from).find(legal_move => {
+            return legal_move.castle === played.record.castle && legal_move.to == played.record.to && legal_move.promotion === played.record.promotion
+        })
+        if(legal !== undefined) {
+            played.record.san = legal.san
+            played.move.san = legal.san
         }
 
-        return this.findBishop(target_file, target_rank, color, specification, 'Q')
+        return played.record
     }
     /**
-     * Finds what square the knight is on given the color and target square information
-     * @param {String} target_file Required. The target file
-     * @param {String} target_rank Required. The target rank
-     * @param {String} color Required. The color
-     * @param {String} specification Required. If the notation specified any specifications
+     * Writes a move given by its squares in coordinate notation (e.g. 'e7e8q')
+     * @param {Object} move Required. The squares of the move: {from, to, promotion?}
      * @returns String
+     * @throws An error if the squares aren't on the board or the promotion piece isn't one a pawn can promote to
      */
-    findKnight(target_file, target_rank, color, specification) {
-        // a knight will only be able to move to eight possible squares
-        // we will check them all
-
-        // check upper
-        const files = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']
-        const tf_loc = files.indexOf(target_file)
-        const tr_loc = Number(target_rank) - 1
-        const bd = this.fresh()
-
-        let squares_explore = []
-        if(tf_loc - 2 >= 0 && tr_loc + 1 < 8) {
-            squares_explore.push([tf_loc - 2, tr_loc + 1])
-        }
-        if(tf_loc - 1 >= 0 && tr_loc + 2 < 8) {
-            squares_explore.push([tf_loc - 1, tr_loc + 2])
-        }
-        if(tf_loc + 1 < 8 && tr_loc + 2 < 8) {
-            squares_explore.push([tf_loc + 1, tr_loc + 2])
+    squaresText(move) {
+        const square = /^[a-h][1-8]$/
+        if(move === null || typeof move !== 'object' || !square.test(move.from) || !square.test(move.to)) {
+            throw new ParserError('A move must be given as text or by squares on the board (e.g. {from: \'e2\', to: \'e4\'})')
         }
-        if(tf_loc + 2 < 8 && tr_loc + 1 < 8) {
-            squares_explore.push([tf_loc + 2, tr_loc + 1])
+        if(move.promotion && !/^[QRBN]$/i.test(move.promotion)) {
+            throw new ParserError(`A pawn cannot promote to "${move.promotion}" (it can promote to Q, R, B or N)`)
         }
 
-        // now lower spaces
-        if(tf_loc - 2 >= 0 && tr_loc - 1 >= 0) {
-            squares_explore.push([tf_loc - 2, tr_loc - 1])
-        }
-        if(tf_loc - 1 >= 0 && tr_loc - 2 >= 0) {
-            squares_explore.push([tf_loc - 1, tr_loc - 2])
-        }
-        if(tf_loc + 1 < 8 && tr_loc - 2 >= 0) {
-            squares_explore.push([tf_loc + 1, tr_loc - 2])
-        }
-        if(tf_loc + 2 < 8 && tr_loc - 1 >= 0) {
-            squares_explore.push([tf_loc + 2, tr_loc - 1])
+        return `${move.from}${move.to}${move.promotion ? move.promotion.toLowerCase() : ''}`
+    }
+    /**
+     * Reads the text of a single move
+     * @param {String} text Required. The move
+     * @returns Object, the move extracted (as held by PGNMove)
+     * @throws An error if the text isn't a single move
+     */
+    readMove(text) {
+        const parser = new PGNParser(new PGNLexer(text.trim()).makeTokens())
+        parser.advance()
+        const black = this.interpreter.turn == 'B'
+        const allowed = new Set([TT_LETTER, TT_COORDINATE_MOVE, TT_CASTLE_KING, TT_CASTLE_QUEEN])
+        if(parser.curr_token === null || !allowed.has(parser.curr_token.type)) {
+            throw new ParserError(`"${text}" is not a move`)
         }
 
-        // now partition over the squares to explore
-        for(var i = 0; i < squares_explore.length; i++) {
-            if(bd[squares_explore[i][1]][squares_explore[i][0]] == `${color}N`) {
-                if(specification == null) {
-                    // knight found!
-                    return files[squares_explore[i][0]] + String(squares_explore[i][1] + 1)
-                }
-
-                // check if square meets specification
-                if(isNaN(specification)) {
-                    if(files[squares_explore[i][0]] == specification) {
-                        return files[squares_explore[i][0]] + String(squares_explore[i][1] + 1) 
-                    }
-                    continue
-                }
+        const parsed = parser.parseMove(black, false)
+        const half_move = (black ? parsed.black_move : parsed.white_move)
+        if(half_move === null || (black ? parsed.white_move : parsed.black_move) !== null || parser.curr_token !== null) {
+            throw new ParserError(`"${text}" is not a single move`)
+        }
 
-                if(Number(specification) == squares_explore[i][1] + 1) {
-                    return files[squares_explore[i][0]] + String(squares_explore[i][1] + 1)
-                }
-            }
+        return half_move
+    }
+    /**
+     * Takes back the last move
+     * @returns PGNMoveRecord | null if no move was played
+     */
+    undo() {
+        const node = this.interpreter.current_node
+        if(node === this.pgn_board.root) {
+            return null
         }
 
-        return null
+        node.parent.children.splice(node.parent.children.indexOf(node), 1)
+        this.pgn_board.memory_positions.pop()
+        this.pgn_board.forgetBoards()
+        this.pgn_board.memory_states.pop()
+        this.pgn_board.memory_moves.pop()
+        this.pgn_board.memory_status.pop()
+        this.pgn_board.memory_hashes.pop()
+        this.restore(node.parent)
+        this.pgn_board.key_position = this.pgn_board.memory_positions.length - 1
+
+        return node.record
+    }
+    /**
+     * Puts the interpreter back to a position in the game
+     * @param {PGNMoveNode} node Required. The node of the position
+     */
+    restore(node) {
+        this.interpreter.current_node = node
+        this.interpreter.ply = node.ply
+        this.interpreter.turn = node.state.turn
+        this.interpreter.castling = node.state.castling
+        this.interpreter.en_passant_square = node.state.en_passant
+        this.interpreter.halfmove = node.state.halfmove
+        this.interpreter.fullmove = node.state.fullmove
+        this.interpreter.reported_end = false
+    }
+    /**
+     * Gets the color to move
+     * @returns String (W|B)
+     */
+    turn() {
+        return this.interpreter.turn
+    }
+    /**
+     * Gets the game-ending states of the current position
+     * @returns PGNPositionStatus
+     */
+    status() {
+        this.interpreter.settleNode(this.interpreter.current_node)
+        return this.interpreter.current_node.status
+    }
+    /**
+     * Checks if the side to move is in check
+     * @returns Boolean
+     */
+    inCheck() {
+        return this.status().check
+    }
+    /**
+     * Checks if the side to move is checkmated
+     * @returns Boolean
+     */
+    isCheckmate() {
+        return this.status().checkmate
+    }
+    /**
+     * Checks if the side to move is stalemated
+     * @returns Boolean
+     */
+    isStalemate() {
+        return this.status().stalemate
+    }
+    /**
+     * Checks if the game is over (checkmate, stalemate, insufficient material, fivefold repetition or the 75-move rule)
+     * @returns Boolean
+     */
+    isGameOver() {
+        return this.status().isGameOver()
+    }
+    /**
+     * Gets the castling rights left, as written in an FEN (e.g. 'KQkq', or '-' if there are none)
+     * @returns String
+     */
+    castlingRights() {
+        return this.interpreter.castling
+    }
+    /**
+     * Gets the legal moves in the current position
+     * @param {String | null} [square=null] Optional. Only gives the moves of the piece on this square (e.g. 'e2')
+     * @returns Array<Object> (see PGNBoard.makeLegalMoves)
+     */
+    legalMoves(square = null) {
+        return this.pgn_board.getLegalMoves(this.pgn_board.memory_positions.length - 1, square)
+    }
+    /**
+     * Gets the FEN of the current position
+     * @returns String
+     */
+    fen() {
+        return this.pgn_board.getFEN(this.pgn_board.memory_positions.length - 1)
+    }
+    /**
+     * Gets the moves played so far
+     * @returns Array<PGNMoveRecord>
+     */
+    history() {
+        return this.pgn_board.memory_moves.slice(1)
+    }
+    /**
+     * Writes the game as PGN text
+     * @returns String
+     */
+    pgn() {
+        return writePGN(this.pgn_board)
     }
 }
 
 /**
- * A interpreter for the pgn
+ * Lexes, parses and interprets a single game
+ * @param {String} pgn Required. The PGN of the game
+ * @param {Object} [settings={}] Optional. Settings for reading (see readPGN)
+ * @returns PGNBoard
+ * @throws An error upon reading
  */
-class PGNInterpreter {
+function renderPGN(pgn, settings = {}) {
+    // make the lexer
+    const lexer = new PGNLexer(pgn)
+    if(settings.variations !== undefined) {
+        lexer.settings.skip_move_analysis = !settings.variations
+    }
+    // comments are kept unless asked otherwise
+    lexer.settings.skip_text_analysis = settings.comments === false
+    lexer.settings.recover = settings.recover === true
+    // make the tokens
+    const tokens = lexer.makeTokens()
+
+    // make the parser
+    const parser = new PGNParser(tokens)
+    parser.settings.recover = settings.recover === true
+    // parse the tokens into nodes
+    const nodes = parser.parse()
+
+    // make the interpreter
+    const interpreter = new PGNInterpreter(nodes)
+    if(settings.strict !== undefined) {
+        interpreter.settings.strict = settings.strict
+    }
+    interpreter.settings.recover = settings.recover === true
+    // problems found while lexing and parsing come before the ones found while interpreting
+    interpreter.bd.diagnostics = lexer.diagnostics.concat(parser.diagnostics)
+    // interpret the nodes
+    interpreter.interpret()
+
+    // return the board
+    return interpreter.bd
+}
 
-    /**
-     * Constructs the interpreter given the parsed nodes
-     * @param {Array<PGNNode>} nodes Required. The nodes parsed
-     */
-    constructor(nodes) {
-        this.nodes = nodes
-        this.bd = new PGNBoard()
-        this.white = ''
-        this.black = ''
-        // DO NOT MODIFY THE LOWER VARIABLES!
-        // INTERNAL USE ONLY!
-        this.white_king_moved = false // if white king moved (castle included)
-        this.black_king_moved = false // if black king moved (castle included)
+/**
+ * Splits PGN text holding many games (a PGN database) into the PGN of each game, as the text comes in.
+ * A game ends on its result (1-0, 0-1, 1/2-1/2 or *), or when the tags of the next game start.
+ * Only the text of the game being read is kept, so the whole PGN never has to be in memory at once
+ */
+class PGNGameSplitter {
+    constructor() {
+        this.buffer = '' // text of the game being read, along with anything not looked at yet
+        this.index = 0 // where to continue looking in the buffer
+        this.in_movetext = false // if we already went past the tags of the current game
+        this.in_comment = false
+        this.depth = 0 // how deep we are inside '(...)'
+        this.line_start = true
+        this.at_start = true // if the buffer still starts at the beginning of the PGN
+        this.results = ['1/2-1/2', '1-0', '0-1', '*']
     }
 
     /**
-     * Interprets the node given the detail
-     * @param {PGNDetail} i Required. The detail of the node
+     * Adds more text to split
+     * @param {String} text Required. The next part of the PGN
+     * @returns Array<String> The games that were finished by this text
      */
-    interpretDetail(i) {
-        if(i.type.toLowerCase() == 'white') {
-            this.white = i.value
-        } else if(i.type.toLowerCase() == 'black') {
-            this.black = i.value
-        }
-        // load other data into board
-        this.bd.header[i.type.toLowerCase()] = i.value
+    push(text) {
+        this.buffer += text
+        return this.split(false)
     }
-    /**
-     * Castles for white
-     * @param {Boolean} kingside Required. If kingside should be done
-     */
-    applyWhiteCastle(kingside) {
-        // it is assumed that castling is legal
-        let bdf = this.bd.fresh()
-        if(kingside) {
-            bdf[0][4] = ''
-            bdf[0][7] = ''
-            bdf[0][6] = 'WK'
-            bdf[0][5] = 'WR'
-        } else {
-            bdf[0][4] = ''
-            bdf[0][0] = ''
-            bdf[0][2] = 'WK'
-            bdf[0][3] = 'WR'
-        }
 
-        return bdf
-    }
     /**
-     * Castles for black
-     * @param {Boolean} kingside Required. If kingside should be done
+     * Ends the PGN, giving back whatever is left as the last game
+     * @returns Array<String> The games that were left
      */
-    applyBlackCastle(kingside) {
-        let bdf = this.bd.fresh()
-        if(kingside) {
-            bdf[7][4] = ''
-            bdf[7][7] = ''
-            bdf[7][6] = 'BK'
-            bdf[7][5] = 'BR'
-        } else {
-            bdf[7][4] = ''
-            bdf[7][0] = ''
-            bdf[7][2] = 'BK'
-            bdf[7][3] = 'BR'
-        }
-        return bdf
+    end() {
+        return this.split(true)
     }
+
     /**
-     * Converts the move to something machine readable
-     * @param {Object} move Required. The move extracted
-     * @param {String} color Required. The color to inspect on
+     * Splits the buffer as far as possible
+     * @param {Boolean} done Required. If no more text will come
      * @returns Array<String>
      */
-    getMachineMove(move, color) {
-        let machine_move = new Array(2)
-        const tf = move.target_square.substring(0, 1)
-        const tr = move.target_square.substring(1, 2)
-        let spec = null
-        if(move.from_file !== null) {
-            spec = move.from_file
-        }
-        if(move.from_rank !== null) {
-            spec = move.from_rank
-        }
-        // check if move is pawn move
-        if(move.piece_type == 'P') {
-            const original_file = (move.from_file != null ? move.from_file : move.target_square.substring(0, 1))
-            const target_square = move.target_square
-            const pos = this.bd.findPawn(original_file, target_square, color)
-            if(pos == null) {
-                return []
+    split(done) {
+        let games = []
+        let start = 0
+        const pgn = this.buffer
+
+        for(var i = this.index; i < pgn.length; i++) {
+            const c = pgn.substring(i, i + 1)
+            // anything inside '{}' can't end a game
+            if(this.in_comment) {
+                if(c == '}') {
+                    this.in_comment = false
+                }
+                continue
             }
-            machine_move[0] = pos[0] + pos[1]
-            machine_move[1] = target_square
-        } else if(move.piece_type == 'K') {
-            // this is easy!
-            // just search for the king
-            const pos = this.bd.findKing(tf, tr, color)
-            if(pos == null) {
-                return []
+            if(c == '\n') {
+                this.line_start = true
+                continue
             }
-            machine_move[0] = pos
-            machine_move[1] = move.target_square
-        } else if(move.piece_type == 'Q') {
-            const pos = this.bd.findQueen(tf, tr, color, spec)
-            if(pos == null) {
-                return []
+            if(c == ' ' || c == '\t' || c == '\r' || c == '\uFEFF') {
+                continue
             }
-            machine_move[0] = pos
-            machine_move[1] = move.target_square
-        } else if(move.piece_type == 'R') {
-            const pos = this.bd.findRook(tf, tr, color, spec)
-            if(pos == null) {
-                return []
+            // nothing in a ';' comment or a line starting with '%' can end a game either, and they go on until the end of the line
+            const line_begins = (i == 0 ? this.at_start : pgn.substring(i - 1, i) == '\n')
+            if(c == ';' || (c == '%' && line_begins)) {
+                const line_end = pgn.indexOf('\n', i)
+                if(line_end == -1 && !done) {
+                    break
+                }
+                i = (line_end == -1 ? pgn.length : line_end - 1)
+                continue
             }
-            machine_move[0] = pos
-            machine_move[1] = move.target_square
-        } else if(move.piece_type == 'B') {
-            const pos = this.bd.findBishop(tf, tr, color, spec)
-            if(pos == null) {
-                return []
+
+            if(c == '[' && this.depth == 0) {
+                // skip the whole tag since its value could hold anything
+                const end = this.tagEnd(pgn, i)
+                // the rest of the tag hasn't come in yet
+                if(!done && end == -1) {
+                    break
+                }
+                // tags after the movetext belong to the next game
+                if(this.line_start && this.in_movetext) {
+                    games.push(pgn.substring(start, i))
+                    start = i
+                    this.in_movetext = false
+                }
+                if(end !== -1 && pgn.substring(end, end + 1) == ']') {
+                    i = end
+                }
+                this.line_start = false
+                continue
             }
-            machine_move[0] = pos
-            machine_move[1] = move.target_square
-        } else if(move.piece_type == 'N') {
-            const pos = this.bd.findKnight(tf, tr, color, spec)
-            if(pos == null) {
-                return []
+
+            // the result and the character after it have to be there before we can check them
+            const before = i == 0 ? (this.at_start ? ' ' : '') : pgn.substring(i - 1, i)
+            const can_end = this.depth == 0 && /\s/.test(before)
+            if(can_end && !done && pgn.length - i <= this.results[0].length) {
+                break
+            }
+
+            this.line_start = false
+            this.in_movetext = true
+            if(c == '{') {
+                this.in_comment = true
+                continue
+            } else if(c == '(') {
+                this.depth += 1
+                continue
+            } else if(c == ')') {
+                this.depth = Math.max(0, this.depth - 1)
+                continue
+            }
+
+            // lets see if the game ends here
+            if(can_end) {
+                for(var z = 0; z < this.results.length; z++) {
+                    const after = pgn.substring(i + this.results[z].length, i + this.results[z].length + 1)
+                    if(pgn.startsWith(this.results[z], i) && (after == '' || /\s/.test(after))) {
+                        i += this.results[z].length
+                        games.push(pgn.substring(start, i))
+                        start = i
+                        this.in_movetext = false
+                        break
+                    }
+                }
             }
-            machine_move[0] = pos
-            machine_move[1] = move.target_square
         }
 
-        return machine_move
+        if(done) {
+            // the last game might not have a result
+            games.push(pgn.substring(start))
+            this.buffer = ''
+            this.index = 0
+        } else {
+            // forget about the games we gave back
+            this.buffer = pgn.substring(start)
+            this.index = Math.min(i, pgn.length) - start
+            if(start > 0) {
+                this.at_start = false
+            }
+        }
+
+        // only keep parts that actually have something in them
+        return games.filter((game) => game.trim() !== '')
     }
+
     /**
-     * Interprets the node given the move
-     * @param {PGNMove} i Required. The move
-     * @throws An error if the move cannot be determined
+     * Finds where a tag ends, skipping its quoted value (where '\"' stands for a quote and '\\' for a backslash, like the lexer reads them)
+     * @param {String} pgn Required. The text holding the tag
+     * @param {Number} start Required. Where the '[' of the tag is
+     * @returns Number, the index of the closing ']' or of the end of the line if the tag isn't closed on it, -1 if neither came in yet
      */
-    interpretMove(i) {
-        // check what kind of move white has
-        if(i.white_move.piece_type == 'castle_king') {
-            // lets see if the king already moved
-            if(this.white_king_moved) {
-                throw new InterpretError('White cannot castle kingside because the king already moved')
-            }
-            const wcks = this.applyWhiteCastle(true)
-            this.bd.memory_boards.push(wcks)
-            this.white_king_moved = true
-        } else if(i.white_move.piece_type == 'castle_queen') {
-            // do same check as before
-            if(this.white_king_moved) {
-                throw new InterpretError('White cannot castle queenside because the king already moved')
-            }
-            const wcqs = this.applyWhiteCastle(false)
-            this.bd.memory_boards.push(wcqs)
-            this.white_king_moved = true
-        } else {
-            const move = this.getMachineMove(i.white_move, 'W')
-            if(move.length === 0) {
-                throw new InterpretError('Cannot interpret move because no valid piece can reach the target square: ' + JSON.stringify(i.white_move))
+    tagEnd(pgn, start) {
+        let in_value = false
+        for(var i = start + 1; i < pgn.length; i++) {
+            const c = pgn.substring(i, i + 1)
+            if(c == '\n' || (c == ']' && !in_value)) {
+                return i
             }
-            // check if king moved
-            if(i.white_move.piece_type == 'K') {
-                this.white_king_moved = true // we need this for asserting if king can castle
+            if(in_value && c == '\\' && (pgn.substring(i + 1, i + 2) == '"' || pgn.substring(i + 1, i + 2) == '\\')) {
+                i += 1
+            } else if(c == '"') {
+                in_value = !in_value
             }
-            const should_promote = i.white_move.piece_type == 'P' && i.white_move.from_rank !== null
-            const promote_type = i.white_move.from_rank
-            this.bd.memory_boards.push(this.bd.move(move[0], move[1], this.bd.fresh(), (should_promote ? promote_type : null)))
         }
 
-        // now do black if there even is a move to do
-        if(i.black_move !== null) {
-            if(i.black_move.piece_type == 'castle_king') {
-                // we will apply all the same checks as done with the white king
-                if(this.black_king_moved) {
-                    throw new InterpretError('Black cannot castle queenside because the king already moved')
-                }
-                const bcks = this.applyBlackCastle(true)
-                this.bd.memory_boards.push(bcks)
-                this.black_king_moved = true
-            } else if(i.black_move.piece_type == 'castle_queen') {
-                if(this.black_king_moved) {
-                    throw new InterpretError('Black cannot castle queenside because the king already moved')
-                }
-                const bcqs = this.applyBlackCastle(false)
-                this.bd.memory_boards.push(bcqs)
-                this.black_king_moved = true
-            } else {
-                const move = this.getMachineMove(i.black_move, 'B')
-                if(move.length === 0) {
-                    throw new InterpretError('Cannot interpret move because no valid piece can reach the target square: ' + JSON.stringify(i.black_move))
-                }
-                if(i.black_move.piece_type == 'K') {
-                    this.black_king_moved = true
+        return -1
+    }
+}
+
+/**
+ * Splits a PGN holding many games (a PGN database) into the PGN of each game.
+ * A game ends on its result (1-0, 0-1, 1/2-1/2 or *), or when the tags of the next game start
+ * @param {String} pgn Required. The PGN to split
+ * @returns Array<String>
+ */
+function splitPGNGames(pgn) {
+    const splitter = new PGNGameSplitter()
+    return splitter.push(pgn).concat(splitter.end())
+}
+
+/**
+ * Reads the pgn
+ * @param {String} pgn Required. The PGN to read
+ * @param {Object} [settings={}] Optional. Settings for reading, with the keys (where keys with '?' are optional): strict?, variations?, comments?, recover?, worker?, worker_url?, on_progress?, signal?.
+ * With recover set, problems don't stop the game from being read: they are put in the diagnostics of the board, and as much of the game as could be read is given back.
+ * With worker set, the reading runs on another thread (a Web Worker in the browser, worker_threads in Node) so it doesn't hold up anything else. worker_url is where to load chess.js from inside the worker, by default the place it was loaded from.
+ * on_progress is called with an object consisting of keys: games, plies, total, telling how many games and plies were read so far and how many games there are.
+ * signal is an AbortSignal, which stops the reading (and the worker) when aborted
+ * @returns PGNBoard
+ */
+async function readPGN(pgn, settings = {}) {
+    const boards = await readPGNTask('game', pgn, settings)
+    return boards[0]
+}
+
+/**
+ * Reads a pgn holding any number of games (e.g. a whole PGN database)
+ * @param {String} pgn Required. The PGN to read
+ * @param {Object} [settings={}] Optional. Same settings as readPGN, along with the key (where keys with '?' are optional): on_error?.
+ * on_error is called with the error and the index of the game whenever a game could not be read. By default the error is put in the console
+ * @returns Array<PGNBoard>
+ */
+async function readPGNGames(pgn, settings = {}) {
+    return await readPGNTask('games', pgn, settings)
+}
+
+/**
+ * Reads a pgn holding any number of games one game at a time, as the text comes in.
+ * Only one game is held in memory at once, so this works for PGN files too big to read as a whole
+ * @param {AsyncIterable|Iterable} source Required. Where the PGN comes from. This can be a Node Readable stream or any (async) iterable of chunks, where the chunks are strings or bytes (Buffer/Uint8Array) in UTF-8
+ * @param {Object} [settings={}] Optional. Same settings as readPGNGames, except for worker and worker_url (the games are read on this thread, one at a time).
+ * on_progress is given null for total, since the number of games isn't known until the end, and signal stops the reading before the next game
+ * @returns AsyncGenerator<PGNBoard>
+ * @throws The reason of the signal if it is aborted
+ */
+async function* streamPGNGames(source, settings = {}) {
+    const splitter = new PGNGameSplitter()
+    const decoder = new TextDecoder()
+    let index = 0
+    let plies = 0
+
+    // reads the games that are done, skipping the broken ones
+    const render = function* (games) {
+        for(var i = 0; i < games.length; i++) {
+            if(settings.signal && settings.signal.aborted) {
+                throw settings.signal.reason
+            }
+
+            let board = null
+            try {
+                board = renderPGN(games[i], settings)
+            } catch (error) {
+                if(typeof settings.on_error == 'function') {
+                    settings.on_error(error, index)
+                } else {
+                    console.error(`Skipping game ${index + 1} in PGN: ${error.message}`)
                 }
-                const should_promote = i.black_move.piece_type == 'P' && i.black_move.from_rank !== null
-                const promote_type = i.black_move.from_rank
-                this.bd.memory_boards.push(this.bd.move(move[0], move[1], this.bd.fresh(), (should_promote ? promote_type : null)))
+            }
+            index += 1
+            if(board !== null) {
+                plies += board.memory_moves.length - 1
+            }
+            if(typeof settings.on_progress == 'function') {
+                settings.on_progress({games: index, plies: plies, total: null})
+            }
+            if(board !== null) {
+                yield board
             }
         }
     }
-    /**
-     * Interpretes the nodes and logs all the memory boards into bd
-     */
-    interpret() {
-        for(var i = 0; i < this.nodes.length; i++) {
-            if(this.nodes[i] instanceof PGNDetail) {
-                this.interpretDetail(this.nodes[i])
-            } else if(this.nodes[i] instanceof PGNMove) {
-                this.interpretMove(this.nodes[i])
-            } else if(this.nodes[i] instanceof PGNResult) {
-                // just set the result
-                this.bd.result_str = this.nodes[i].res
+
+    for await (const chunk of source) {
+        // a character could be split between two chunks, so the decoder has to keep what's left over
+        const text = typeof chunk == 'string' ? chunk : decoder.decode(chunk, { stream: true })
+        yield* render(splitter.push(text))
+    }
+
+    yield* render(splitter.push(decoder.decode()).concat(splitter.end()))
+}
+
+/**
+ * Writes the game back out as PGN text
+ * @param {PGNBoard} pgn_board Required. The game to write
+ * @returns String
+ */
+function writePGN(pgn_board) {
+    const writer = new PGNWriter(pgn_board)
+    return writer.write()
+}
+
+//MARK: WORKER
+
+// where this file was loaded from, so a worker can load it again
+const PGN_WORKER_URL = (typeof document !== 'undefined' && document.currentScript) ? document.currentScript.src : (typeof __filename !== 'undefined' ? __filename : null)
+const PGN_ERROR_TYPES = new Map([['PGNError', PGNError], ['LexerError', LexerError], ['ParserError', ParserError], ['InterpretError', InterpretError]])
+const PGN_TASK_SLICE = 16 // how long (in ms) games are read before other code gets a chance to run (e.g. to abort the reading)
+
+/**
+ * Reads the PGN, sending back every game along with how far along the reading is.
+ * This is what runs inside the worker (or on the current thread without one)
+ * @param {String} task Required. What to read ('game' for a single game, 'games' for any number of games)
+ * @param {String} pgn Required. The PGN to read
+ * @param {Object} settings Required. Settings for reading (see readPGN)
+ * @param {Function} post Required. Called with every message to send back, which is an object with the key type ('game', 'skipped', 'progress' or 'done')
+ * @returns Promise<void>
+ * @throws An error upon reading a single game, or the reason of the signal once it is aborted
+ */
+async function runPGNTask(task, pgn, settings, post) {
+    const games = task == 'game' ? [pgn] : splitPGNGames(pgn)
+    let plies = 0
+    let slice_start = Date.now()
+    for(var i = 0; i < games.length; i++) {
+        // without a worker the games are read on the current thread, so it is let go now and then,
+        // otherwise nothing could abort the signal until every game is read
+        if(Date.now() - slice_start >= PGN_TASK_SLICE) {
+            await new Promise(resolve => setTimeout(resolve, 0))
+            slice_start = Date.now()
+        }
+        if(settings.signal && settings.signal.aborted) {
+            throw settings.signal.reason
+        }
+
+        let board = null
+        if(task == 'game') {
+            board = renderPGN(games[i], settings)
+        } else {
+            // a broken game shouldn't stop us from reading the rest of them
+            try {
+                board = renderPGN(games[i], settings)
+            } catch (error) {
+                post({type: 'skipped', index: i, error: error})
             }
         }
+        if(board !== null) {
+            plies += board.memory_moves.length - 1
+            post({type: 'game', index: i, board: board})
+        }
+        post({type: 'progress', games: i + 1, plies: plies, total: games.length})
     }
+    post({type: 'done'})
 }
 
 /**
- * Reads the pgn
- * @param {String} pgn Required. The PGN to read
+ * Handles a message sent to the worker, reading the PGN in it
+ * @param {Object} data Required. The message, consisting of keys: pgn_task, pgn, settings
+ * @param {Function} post Required. Sends a message back
+ */
+function handlePGNWorkerMessage(data, post) {
+    // the message might not be meant for us
+    if(data === null || typeof data !== 'object' || typeof data.pgn_task !== 'string') {
+        return
+    }
+
+    runPGNTask(data.pgn_task, data.pgn, data.settings, (message) => {
+        if(message.type == 'skipped') {
+            message.error = flattenPGNError(message.error)
+        }
+        post(message)
+    }).catch(error => post({type: 'error', error: flattenPGNError(error)}))
+}
+
+/**
+ * Turns an error into a plain object that can be sent between threads (errors lose their class and details otherwise)
+ * @param {Error} error Required. The error
+ * @returns Object consisting of keys: kind, message, fields
+ */
+function flattenPGNError(error) {
+    return {kind: error.constructor.name, message: error.message, fields: {...error}}
+}
+
+/**
+ * Makes the error again from what flattenPGNError gave
+ * @param {Object} data Required. The flattened error
+ * @returns Error
+ */
+function revivePGNError(data) {
+    const type = PGN_ERROR_TYPES.get(data.kind)
+    const error = type !== undefined ? new type(data.message) : new Error(data.message)
+    Object.assign(error, data.fields)
+
+    return error
+}
+
+/**
+ * Gives a board sent from another thread its classes back, since only the data comes across
+ * @param {Object} data Required. The board as it was received
  * @returns PGNBoard
  */
-async function readPGN(pgn) {
-    // we will run this on another thread
-    // that way there won't be any UI irresponsivness or other parts of the JavaScript not responding
-    const renderer = new Promise((resolve, reject) => {
-        // execute in try-catch to get any errors
+function revivePGNBoard(data) {
+    Object.setPrototypeOf(data, PGNBoard.prototype)
+    for(var i = 0; i < data.diagnostics.length; i++) {
+        Object.setPrototypeOf(data.diagnostics[i], PGNDiagnostic.prototype)
+    }
+
+    // every move record and status can be reached through the tree (variations included)
+    let nodes = [data.root]
+    while(nodes.length > 0) {
+        const node = nodes.pop()
+        Object.setPrototypeOf(node, PGNMoveNode.prototype)
+        if(node.record !== null) {
+            Object.setPrototypeOf(node.record, PGNMoveRecord.prototype)
+        }
+        if(node.status !== null) {
+            Object.setPrototypeOf(node.status, PGNPositionStatus.prototype)
+        }
+        nodes.push(...node.children)
+    }
+
+    return data
+}
+
+/**
+ * Starts a worker running this file
+ * @param {String} url Required. Where to load this file from
+ * @param {Function} receive Required. Called with every message the worker sends
+ * @param {Function} fail Required. Called with the error if the worker itself fails
+ * @returns Worker
+ */
+function startPGNWorker(url, receive, fail) {
+    if(typeof Worker !== 'undefined') {
+        const worker = new Worker(url)
+        worker.onmessage = (event) => receive(event.data)
+        worker.onerror = (event) => fail(new Error(event.message))
+        return worker
+    }
+
+    // NodeJS
+    const worker = new (require('worker_threads').Worker)(url, { workerData: { pgn_worker: true } })
+    worker.on('message', receive)
+    worker.on('error', fail)
+    return worker
+}
+
+/**
+ * Reads the PGN on this thread, or in a worker if the settings ask for it
+ * @param {String} task Required. What to read ('game' for a single game, 'games' for any number of games)
+ * @param {String} pgn Required. The PGN to read
+ * @param {Object} settings Required. Settings for reading (see readPGN and readPGNGames)
+ * @returns Array<PGNBoard>
+ */
+function readPGNTask(task, pgn, settings) {
+    return new Promise((resolve, reject) => {
+        const signal = settings.signal
+        if(signal && signal.aborted) {
+            reject(signal.reason)
+            return
+        }
+
+        let boards = []
+        let worker = null
+        const stop = () => {
+            if(signal) {
+                signal.removeEventListener('abort', abort)
+            }
+            if(worker !== null) {
+                worker.terminate()
+            }
+        }
+        const abort = () => {
+            stop()
+            reject(signal.reason)
+        }
+        const fail = (error) => {
+            stop()
+            reject(error)
+        }
+        const receive = (message) => {
+            if(message.type == 'game') {
+                boards.push(worker !== null ? revivePGNBoard(message.board) : message.board)
+            } else if(message.type == 'skipped') {
+                const error = worker !== null ? revivePGNError(message.error) : message.error
+                if(typeof settings.on_error == 'function') {
+                    settings.on_error(error, message.index)
+                } else {
+                    console.error(`Skipping game ${message.index + 1} in PGN: ${error.message}`)
+                }
+            } else if(message.type == 'progress') {
+                if(typeof settings.on_progress == 'function') {
+                    settings.on_progress({games: message.games, plies: message.plies, total: message.total})
+                }
+            } else if(message.type == 'done') {
+                stop()
+                resolve(boards)
+            } else if(message.type == 'error') {
+                fail(revivePGNError(message.error))
+            }
+        }
+
+        if(!settings.worker) {
+            runPGNTask(task, pgn, settings, receive).catch(fail)
+            return
+        }
+
+        const url = settings.worker_url || PGN_WORKER_URL
+        if(!url) {
+            reject(new Error('Could not tell where chess.js was loaded from to start the worker, give it with the worker_url setting'))
+            return
+        }
         try {
-            // make the lexer
-            const lexer = new PGNLexer(pgn)
-            // make the tokens
-            const tokens = lexer.makeTokens()
-
-            // make the parser
-            const parser = new PGNParser(tokens)
-            // parse the tokens into nodes
-            const nodes = parser.parse()
-
-            // make the interpreter
-            const interpreter = new PGNInterpreter(nodes)
-            // interpret the nodes
-            interpreter.interpret()
-
-            // return the board
-            resolve(interpreter.bd)
+            worker = startPGNWorker(url, receive, fail)
         } catch (error) {
             reject(error)
+            return
+        }
+        if(signal) {
+            signal.addEventListener('abort', abort)
         }
+        // only the reading settings can be sent over, the callbacks stay here
+        worker.postMessage({pgn_task: task, pgn: pgn, settings: {strict: settings.strict, variations: settings.variations, comments: settings.comments, recover: settings.recover}})
     })
+}
 
-    const data = await renderer
-    if(typeof data == "object") {
-        return data
+// when this file is loaded inside a worker, read whatever PGN we're sent
+if(typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.addEventListener('message', (event) => handlePGNWorkerMessage(event.data, (message) => self.postMessage(message)))
+} else if(typeof require == 'function' && typeof module !== 'undefined') {
+    const worker_threads = require('worker_threads')
+    if(!worker_threads.isMainThread && worker_threads.workerData && worker_threads.workerData.pgn_worker) {
+        worker_threads.parentPort.on('message', (data) => handlePGNWorkerMessage(data, (message) => worker_threads.parentPort.postMessage(message)))
     }
-
-    throw new Error(data)
 }
 
+//MARK: END WORKER
+
 /**
  * This is what will display the UI board
  */
@@ -1833,18 +5635,14 @@ class ChessBoard {
         const width = Number(document.getElementById(this.bd_id).getAttribute('data-chess-square-width'))
         const height = Number(document.getElementById(this.bd_id).getAttribute('data-chess-square-height'))
 
-        // make a copy of the array
-        let f = [...this.pgn_board.memory_boards[this.pgn_board.key_position]]
-        // the array will appear flipped
-        // so reverse it
-        f = f.reverse()
+        const position = this.pgn_board.memory_positions[this.pgn_board.key_position]
 
         // the board is constructed from top 8th rank to lowest 1st rank
         // top square is light and alternates from there
         var square_col = this.light_square_color + ''
         for(var i = 0; i < 8; i++) {
             for(var z = 0; z < 8; z++) {
-                const html_piece = this.sanitize(this.piece_readable.get(f[i][z]))
+                const html_piece = this.sanitize(this.piece_readable.get(this.pgn_board.pieceAt(position, z, 7 - i)))
                 document.getElementById(this.bd_id).innerHTML += '<div style="background-color: ' + square_col + '; width: ' + width + 'px; heigt: ' + height + 'px;" data-chess-square="true">' + html_piece + '</div>'
                 if(square_col == this.light_square_color) {
                     square_col = this.dark_square_color
@@ -1869,14 +5667,13 @@ class ChessBoard {
         const width = Number(document.getElementById(this.bd_id).getAttribute('data-chess-square-width'))
         const height = Number(document.getElementById(this.bd_id).getAttribute('data-chess-square-height'))
 
-        // we basically do the exact same thing as in init, just this time instead of reversing the whole board, we only reverse the elements within
-        let f = [...this.pgn_board.memory_boards[this.pgn_board.key_position]]
+        // we basically do the exact same thing as in init, just this time the ranks go from the 1st up and the files from the h-file
+        const position = this.pgn_board.memory_positions[this.pgn_board.key_position]
 
         var square_col = this.light_square_color + ''
         for(var i = 0; i < 8; i++) {
-            f[i] = f[i].reverse()
             for(var z = 0; z < 8; z++) {
-                const html_piece = this.sanitize(this.piece_readable.get(f[i][z]))
+                const html_piece = this.sanitize(this.piece_readable.get(this.pgn_board.pieceAt(position, 7 - z, i)))
                 document.getElementById(this.bd_id).innerHTML += '<div style="background-color: ' + square_col + '; width: ' + width + 'px; height: ' + height + 'px;" data-chess-square="true">' + html_piece + '</div>'
                 if(square_col == this.light_square_color) {
                     square_col = this.dark_square_color
@@ -1892,3 +5689,14 @@ class ChessBoard {
         }
     }
 }
+
+// lets NodeJS load this file with require (in the browser everything is just global)
+if(typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PGNError, LexerError, ParserError, InterpretError, PGNDiagnostic,
+        PGNLexer, PGNParser, PGNInterpreter, PGNWriter, PGNGameSplitter,
+        PGNGame, PGNBoard, PGNMoveNode, PGNMoveRecord, PGNPositionStatus, ChessBoard,
+        RESULT_WHITE_WIN, RESULT_BLACK_WIN, RESULT_DRAW, RESULT_UNKNOWN,
+        renderPGN, splitPGNGames, readPGN, readPGNGames, streamPGNGames, writePGN
+    }
+}
@@ -0,0 +1,47 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {readPGNGames, streamPGNGames} = require('../src/chess.js')
+
+test('reading without a worker can be aborted while it runs', async () => {
+    const game = '[Event "Test"]\n\n1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 4. Ba4 Nf6 5. O-O Be7 6. Re1 b5 7. Bb3 d6 8. c3 O-O *\n\n'
+    const controller = new AbortController()
+    const reason = new Error('stopped')
+    let games = 0
+    setTimeout(() => controller.abort(reason), 0)
+    await assert.rejects(readPGNGames(game.repeat(2000), {signal: controller.signal, on_progress: progress => games = progress.games}), error => error === reason)
+    assert.ok(games < 2000)
+})
+
+test('streaming reports its progress and stops once aborted', async () => {
+    const game = '[Event "Test"]\n\n1. e4 e5 2. Nf3 *\n\n'
+    const controller = new AbortController()
+    const reason = new Error('stopped')
+    let progress = []
+    let read = 0
+    const settings = {signal: controller.signal, on_progress: (p) => progress.push(p)}
+    await assert.rejects((async () => {
+        for await (const board of streamPGNGames([game.repeat(5)], settings)) {
+            read += 1
+            if(read == 2) {
+                controller.abort(reason)
+            }
+        }
+    })(), error => error === reason)
+    assert.strictEqual(read, 2)
+    assert.deepStrictEqual(progress, [{games: 1, plies: 3, total: null}, {games: 2, plies: 6, total: null}])
+})
+
+test('a worker gives back the same boards, with its progress', async () => {
+    const pgn = '1. e4 e5 1-0\n\n1. d4 Nf6 2. c4 0-1'
+    let progress = []
+    const boards = await readPGNGames(pgn, {worker: true, on_progress: p => progress.push(p)})
+    const here = await readPGNGames(pgn)
+    assert.deepStrictEqual(boards.map(board => board.getFEN(board.memory_positions.length - 1)), here.map(board => board.getFEN(board.memory_positions.length - 1)))
+    assert.strictEqual(boards[1].getNode(3).status.check, false)
+    assert.deepStrictEqual(progress, [{games: 1, plies: 2, total: 2}, {games: 2, plies: 5, total: 2}])
+
+    const controller = new AbortController()
+    const reason = new Error('stopped')
+    controller.abort(reason)
+    await assert.rejects(readPGNGames(pgn, {worker: true, signal: controller.signal}), error => error === reason)
+})
@@ -0,0 +1,44 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, PGNGame} = require('../src/chess.js')
+
+test('memory_boards is made once and kept until the game changes', () => {
+    const board = renderPGN('1. e4 e5 2. Nf3 *')
+    const boards = board.memory_boards
+    assert.strictEqual(board.memory_boards, boards)
+    assert.strictEqual(boards[1][3][4], 'WP')
+
+    const game = new PGNGame()
+    game.move('e4')
+    const before = game.pgn_board.memory_boards
+    game.move('e5')
+    assert.strictEqual(game.pgn_board.memory_boards.length, 3)
+    game.undo()
+    game.move('c5')
+    assert.notStrictEqual(game.pgn_board.memory_boards, before)
+    assert.strictEqual(game.pgn_board.memory_boards[2][4][2], 'BP')
+})
+
+test('the boards of memory_boards are frozen', () => {
+    const board = renderPGN('1. e4 *')
+    assert.ok(Object.isFrozen(board.memory_boards))
+    assert.ok(Object.isFrozen(board.memory_boards[1]))
+    assert.ok(Object.isFrozen(board.memory_boards[1][3]))
+    assert.throws(() => { 'use strict'; board.memory_boards[1][3][4] = '&nbsp;' }, TypeError)
+    assert.strictEqual(board.pieceAt(board.memory_positions[1], 4, 3), 'WP')
+})
+
+test('memory_boards can only be read', () => {
+    const board = renderPGN('1. e4 *')
+    assert.throws(() => { 'use strict'; board.memory_boards = [] }, TypeError)
+    assert.strictEqual(board.memory_boards.length, 2)
+    assert.strictEqual(board.pieceAt(board.memory_positions[1], 4, 3), 'WP')
+})
+
+test('memory_boards is made again when a position changes in place', () => {
+    const board = renderPGN('1. e4 *')
+    const boards = board.memory_boards
+    board.loadFEN('4k3/8/8/8/8/8/8/4K3 w - - 0 1')
+    assert.notStrictEqual(board.memory_boards, boards)
+    assert.strictEqual(board.memory_boards[0][0][4], 'WK')
+})
@@ -0,0 +1,34 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, PGNGame, InterpretError} = require('../src/chess.js')
+
+test('castling over a piece is rejected in every mode', () => {
+    const pgn = '[FEN "7k/8/8/8/8/8/8/4KN1R w K - 0 1"]\n\n1. O-O *'
+    for(const settings of [{}, {strict: true}]) {
+        assert.throws(() => renderPGN(pgn, settings), error => error instanceof InterpretError && /pieces between the king and the rook/.test(error.message))
+    }
+    assert.throws(() => renderPGN('[FEN "7k/8/8/8/8/8/8/4KN1R w K - 0 1"]\n\n1. e1g1 *'), InterpretError)
+})
+
+test('castling without moving the king is a legal move in Chess960', () => {
+    const fen = 'k4r2/8/8/8/8/7p/7P/6KR w H - 0 1'
+    const board = renderPGN(`[Variant "Chess960"]\n[FEN "${fen}"]\n\n1. O-O *`, {strict: true})
+    assert.strictEqual(board.memory_status[0].stalemate, false)
+    assert.deepStrictEqual(board.diagnostics, [])
+
+    const game = new PGNGame(fen, true)
+    assert.strictEqual(game.isStalemate(), false)
+    assert.strictEqual(game.move('O-O').san, 'O-O')
+})
+
+test('each castling right is lost on its own', () => {
+    const fen = 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1'
+    // moving a rook loses its side, capturing a rook takes away its side too, and moving the king loses both
+    const board = renderPGN(`[FEN "${fen}"]\n\n1. Rh2 Rxa1+ 2. Ke2 Kd7 *`)
+    assert.deepStrictEqual(board.memory_states.map(state => state.castling), ['KQkq', 'Qkq', 'k', 'k', '-'])
+
+    // a rook going back to its square doesn't get the right back
+    assert.throws(() => renderPGN(`[FEN "${fen}"]\n\n1. Rh2 Ra7 2. Rh1 Ra8 3. O-O *`), /lost the right to castle/)
+    const castled = renderPGN(`[FEN "${fen}"]\n\n1. Rh2 Ra7 2. Rh1 Ra8 3. O-O-O O-O *`)
+    assert.strictEqual(castled.getFEN(6), 'r4rk1/8/8/8/8/8/8/2KR3R w - - 6 4')
+})
@@ -0,0 +1,31 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, writePGN, InterpretError} = require('../src/chess.js')
+
+const FEN = 'rknnbbqr/pppppppp/8/8/8/8/PPPPPPPP/RKNNBBQR w AHah - 0 1'
+const PGN = `[Variant "Chess960"]\n[SetUp "1"]\n[FEN "${FEN}"]\n\n1. Nd3 Nd6 2. Ne3 Ne6 3. O-O-O O-O-O *`
+
+test('a Chess960 game is read from its starting position and castles by its rules', () => {
+    const board = renderPGN(PGN)
+    assert.strictEqual(board.chess960, true)
+    assert.strictEqual(board.getFEN(0), FEN)
+    // the king ends up on the c-file and the rook on the d-file, wherever they started
+    assert.strictEqual(board.getFEN(5), 'rk2bbqr/pppppppp/3nn3/8/8/3NN3/PPPPPPPP/2KRBBQR b ah - 5 3')
+    assert.strictEqual(board.getFEN(6), '2krbbqr/pppppppp/3nn3/8/8/3NN3/PPPPPPPP/2KRBBQR w - - 6 4')
+    assert.deepStrictEqual([board.memory_moves[5].from, board.memory_moves[5].to, board.memory_moves[5].castle], ['b1', 'c1', 'Q'])
+})
+
+test('castling rights are read from X-FEN as well as Shredder-FEN', () => {
+    const board = renderPGN('[Variant "Chess960"]\n[FEN "rknnbbqr/pppppppp/8/8/8/8/PPPPPPPP/RKNNBBQR w KQkq - 0 1"]\n\n1. Nd3 *')
+    assert.strictEqual(board.getFEN(0), 'rknnbbqr/pppppppp/8/8/8/8/PPPPPPPP/RKNNBBQR w HAha - 0 1')
+})
+
+test('a Chess960 game is written back with its tags', () => {
+    const written = writePGN(renderPGN(PGN))
+    assert.ok(written.includes('[Variant "Chess960"]\n[SetUp "1"]\n[FEN "' + FEN + '"]'))
+    assert.ok(written.endsWith('1. Nd3 Nd6 2. Ne3 Ne6 3. O-O-O O-O-O *\n'))
+})
+
+test('castling needs the squares the king and rook go to to be empty', () => {
+    assert.throws(() => renderPGN(PGN.replace('O-O-O O-O-O', 'O-O-O O-O')), error => error instanceof InterpretError && /pieces between/.test(error.message))
+})
@@ -0,0 +1,42 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, writePGN} = require('../src/chess.js')
+
+test('clock and evaluation commands are taken out of the comments', () => {
+    const board = renderPGN('1. e4 { [%clk 0:03:12] [%eval 0.34] } 1... e5 { [%clk 0:03:10] [%emt 0:00:02] a solid reply } *')
+    const e4 = board.memory_moves[1]
+    assert.deepStrictEqual([e4.clock, e4.elapsed, e4.evaluation], [192, null, {cp: 34, mate: null, depth: null}])
+    const e5 = board.memory_moves[2]
+    assert.deepStrictEqual([e5.clock, e5.elapsed, e5.evaluation], [190, 2, null])
+    // the records hold them too
+    assert.deepStrictEqual([board.getNode(2).record.clock, board.getNode(2).record.elapsed], [190, 2])
+    // a comment holding nothing but commands isn't kept, the rest of one is
+    assert.deepStrictEqual(board.getNode(1).move.comments_after, [])
+    assert.deepStrictEqual(board.getNode(2).move.comments_after, ['a solid reply'])
+})
+
+test('evaluations are read as centipawns or moves to mate, with the depth', () => {
+    const board = renderPGN('1. e4 {[%eval -1.25,20]} e5 {[%eval #-3]} 2. Nf3 {[%eval #4,31]} *')
+    assert.deepStrictEqual(board.memory_moves.slice(1).map(move => move.evaluation), [
+        {cp: -125, mate: null, depth: 20},
+        {cp: null, mate: -3, depth: null},
+        {cp: null, mate: 4, depth: 31}
+    ])
+})
+
+test('commands that cannot be read and other commands stay in the comment', () => {
+    const board = renderPGN('1. e4 {[%clk soon] [%csl Ge4] [%eval #1.5] [%emt 1:05.5]} *')
+    const move = board.memory_moves[1]
+    assert.deepStrictEqual([move.clock, move.elapsed, move.evaluation], [null, 65.5, null])
+    assert.deepStrictEqual(board.getNode(1).move.comments_after, ['[%clk soon] [%csl Ge4] [%eval #1.5]'])
+})
+
+test('commands are written back after their move', () => {
+    const pgn = '1. e4 { [%clk 0:03:12] [%eval 0.34] } 1... e5 { [%clk 0:03:10] [%emt 0:00:02] a solid reply } *'
+    const again = renderPGN(writePGN(renderPGN(pgn)))
+    assert.deepStrictEqual(again.memory_moves.slice(1).map(move => [move.clock, move.elapsed, move.evaluation]), [
+        [192, null, {cp: 34, mate: null, depth: null}],
+        [190, 2, null]
+    ])
+    assert.deepStrictEqual(again.getNode(2).move.comments_after, ['a solid reply'])
+})
@@ -0,0 +1,20 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN} = require('../src/chess.js')
+
+const annotations = (move) => [move.comments_before, move.comments_after, move.nags]
+
+test('comments and NAGs are kept on the move they annotate', () => {
+    const board = renderPGN('{opening} 1. e4 {best by test} $1 e5?! {dubious} ; to the end of the line\n2. Nf3 !! Nc6 ({before} 2... d6 $6) *', {variations: true})
+    assert.deepStrictEqual(annotations(board.getNode(1).move), [['opening'], ['best by test'], [1]])
+    assert.deepStrictEqual(annotations(board.getNode(2).move), [[], ['dubious', 'to the end of the line'], [6]])
+    assert.deepStrictEqual(annotations(board.getNode(3).move), [[], [], [3]])
+    assert.deepStrictEqual(annotations(board.getNode(4).move), [[], [], []])
+    assert.deepStrictEqual(annotations(board.getNode(3).children[1].move), [['before'], [], [6]])
+})
+
+test('comments can be skipped while NAGs are still kept', () => {
+    const board = renderPGN('{opening} 1. e4 {x} e5 $1 *', {comments: false})
+    assert.deepStrictEqual(annotations(board.getNode(1).move), [[], [], []])
+    assert.deepStrictEqual(annotations(board.getNode(2).move), [[], [], [1]])
+})
@@ -0,0 +1,43 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, InterpretError} = require('../src/chess.js')
+
+test('a game starts from the FEN tag, with black to move if it says so', () => {
+    const board = renderPGN('[SetUp "1"]\n[FEN "4r1k1/5ppp/8/8/8/8/4R1PP/6K1 b - - 0 23"]\n\n23... Rxe2 24. Kf1 Re8 0-1')
+    assert.strictEqual(board.memory_positions.length, 4)
+    assert.deepStrictEqual(board.memory_states[0], {turn: 'B', castling: '-', en_passant: '-', halfmove: 0, fullmove: 23})
+    assert.strictEqual(board.pieceAt(board.memory_positions[0], 4, 7), 'BR')
+    assert.strictEqual(board.pieceAt(board.memory_positions[1], 4, 1), 'BR')
+    assert.deepStrictEqual(board.memory_states[3], {turn: 'W', castling: '-', en_passant: '-', halfmove: 2, fullmove: 25})
+})
+
+test('the FEN tag is read without SetUp too, along with its en passant square', () => {
+    const board = renderPGN('[FEN "4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1"]\n\n1. exd6 *')
+    assert.strictEqual(board.pieceAt(board.memory_positions[1], 3, 5), 'WP')
+    assert.strictEqual(board.pieceAt(board.memory_positions[1], 3, 4), '')
+    assert.strictEqual(board.memory_moves[1].en_passant, true)
+})
+
+test('an FEN that cannot be read, or moves by the wrong side, are rejected', () => {
+    assert.throws(() => renderPGN('[FEN "8/8/8 w - - 0 1"]\n\n1. e4 *'), error => error instanceof InterpretError && /expected 8 ranks/.test(error.message))
+    assert.throws(() => renderPGN('[FEN "4k3/8/8/8/8/8/8/4K3 w - e9 0 1"]\n\n1. Kd1 *'), InterpretError)
+    assert.throws(() => renderPGN('[FEN "4k3/8/8/8/8/8/8/4K3 w - - 0 1"]\n\n1... Kd7 *'), /it is White's turn/)
+})
+
+test('every position of the game has its FEN', () => {
+    const board = renderPGN('1. e4 c5 2. Nf3 Nc6 3. Bb5 *')
+    assert.strictEqual(board.getFEN(0), 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1')
+    assert.strictEqual(board.getFEN(1), 'rnbqkbnr/pppppppp/8/8/4P3/8/PPPP1PPP/RNBQKBNR b KQkq e3 0 1')
+    assert.strictEqual(board.getFEN(2), 'rnbqkbnr/pp1ppppp/8/2p5/4P3/8/PPPP1PPP/RNBQKBNR w KQkq c6 0 2')
+    assert.strictEqual(board.getFEN(5), 'r1bqkbnr/pp1ppppp/2n5/1Bp5/4P3/5N2/PPPP1PPP/RNBQK2R b KQkq - 3 3')
+    assert.strictEqual(board.getFEN(6), null)
+    assert.strictEqual(board.getFEN(), board.getFEN(board.key_position))
+    assert.strictEqual(board.makeFEN(board.memory_boards[1], board.memory_states[1]), board.getFEN(1))
+})
+
+test('an FEN read from the tag is given back the same', () => {
+    const fen = 'r3k2r/8/8/8/8/8/8/R3K2R b Qk - 7 40'
+    const board = renderPGN(`[FEN "${fen}"]\n\n40... O-O 41. O-O-O *`)
+    assert.strictEqual(board.getFEN(0), fen)
+    assert.strictEqual(board.getFEN(2), 'r4rk1/8/8/8/8/8/8/2KR3R b - - 9 41')
+})
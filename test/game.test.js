@@ -0,0 +1,68 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {PGNGame, renderPGN, ParserError, InterpretError} = require('../src/chess.js')
+
+test('moves are played in any notation and kept in SAN', () => {
+    const game = new PGNGame()
+    assert.strictEqual(game.move('e4').san, 'e4')
+    assert.strictEqual(game.move({from: 'e7', to: 'e5'}).san, 'e5')
+    assert.strictEqual(game.move('g1f3').san, 'Nf3')
+    assert.strictEqual(game.move('Nb8-c6').san, 'Nc6')
+    assert.strictEqual(game.turn(), 'W')
+    assert.strictEqual(game.castlingRights(), 'KQkq')
+    assert.deepStrictEqual(game.history().map(record => record.san), ['e4', 'e5', 'Nf3', 'Nc6'])
+    assert.strictEqual(game.fen(), 'r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3')
+    assert.strictEqual(game.pgn().trim().split('\n').pop(), '1. e4 e5 2. Nf3 Nc6 *')
+})
+
+test('illegal moves and moves that cannot be read leave the game as it was', () => {
+    const game = new PGNGame()
+    game.move('e4')
+    const fen = game.fen()
+    assert.throws(() => game.move('Ke6'), InterpretError)
+    assert.throws(() => game.move('e2e4e5'), ParserError)
+    assert.throws(() => game.move('Nf9'), ParserError)
+    assert.throws(() => game.move({from: 'e7', to: 'e9'}), ParserError)
+    assert.throws(() => game.move({from: 'z7', to: 'e5'}), ParserError)
+    assert.throws(() => game.move({from: 'e7'}), ParserError)
+    assert.throws(() => game.move(null), ParserError)
+    assert.throws(() => game.move({from: 'e7', to: 'e5', promotion: 'K'}), ParserError)
+    assert.strictEqual(game.fen(), fen)
+    assert.strictEqual(game.move('e5').san, 'e5')
+})
+
+test('moves are taken back with undo', () => {
+    const game = new PGNGame()
+    assert.strictEqual(game.undo(), null)
+    game.move('e4')
+    game.move('e5')
+    assert.strictEqual(game.undo().san, 'e5')
+    assert.strictEqual(game.turn(), 'B')
+    assert.strictEqual(game.move('c5').san, 'c5')
+    assert.strictEqual(game.pgn_board.memory_moves.length, 3)
+    assert.strictEqual(game.pgn_board.root.children[0].children.length, 1)
+})
+
+test('the state of the game is known after every move', () => {
+    const game = new PGNGame()
+    for(const move of ['f3', 'e5', 'g4']) {
+        game.move(move)
+    }
+    assert.strictEqual(game.isGameOver(), false)
+    const mate = game.move('Qh4')
+    assert.strictEqual(mate.san, 'Qh4#')
+    assert.strictEqual(game.inCheck(), true)
+    assert.strictEqual(game.isCheckmate(), true)
+    assert.strictEqual(game.isGameOver(), true)
+    assert.deepStrictEqual(game.legalMoves(), [])
+})
+
+test('a game can start from an FEN and promote', () => {
+    const game = new PGNGame('8/4P3/8/8/8/8/k7/4K3 w - - 0 1')
+    assert.deepStrictEqual(game.legalMoves('e7').map(move => move.san), ['e8=Q', 'e8=R', 'e8=B', 'e8=N'])
+    assert.strictEqual(game.move({from: 'e7', to: 'e8', promotion: 'N'}).san, 'e8=N')
+    assert.throws(() => new PGNGame('not a fen'))
+
+    const read = renderPGN(game.pgn())
+    assert.strictEqual(read.memory_moves[1].san, 'e8=N')
+})
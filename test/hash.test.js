@@ -0,0 +1,23 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN} = require('../src/chess.js')
+
+test('repetitions are counted by the hash', () => {
+    const board = renderPGN('1. Nf3 Nf6 2. Ng1 Ng8 3. Nf3 Nf6 4. Ng1 Ng8 *')
+    assert.deepStrictEqual(board.memory_status.map(status => status.repetitions), [1, 1, 1, 1, 2, 2, 2, 2, 3])
+    assert.strictEqual(board.memory_status[8].threefold_repetition, true)
+    assert.strictEqual(board.memory_hashes[8], board.memory_hashes[0])
+})
+
+test('the hash only holds the en passant square when a pawn can capture there', () => {
+    // nothing can capture on e3 after 1. e4, the pawn on e5 can capture on f6 after 2... f5
+    const board = renderPGN('1. e4 d5 2. e5 f5 *')
+    for(var i = 0; i < board.memory_positions.length; i++) {
+        assert.strictEqual(board.memory_hashes[i], board.makeHash(board.memory_positions[i], board.memory_states[i]))
+    }
+    const without = (index) => board.makeHash(board.memory_positions[index], {...board.memory_states[index], en_passant: '-'})
+    assert.strictEqual(board.enPassantCapture(board.memory_positions[1], board.memory_states[1]), '-')
+    assert.strictEqual(board.memory_hashes[1], without(1))
+    assert.strictEqual(board.enPassantCapture(board.memory_positions[4], board.memory_states[4]), 'f6')
+    assert.notStrictEqual(board.memory_hashes[4], without(4))
+})
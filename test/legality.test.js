@@ -0,0 +1,27 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, InterpretError} = require('../src/chess.js')
+
+const rejects = (pgn, ply, reason) => assert.throws(() => renderPGN(pgn, {strict: true}), error => error instanceof InterpretError && error.ply == ply && reason.test(error.message))
+
+test('legal games are read the same in strict mode', () => {
+    const pgn = '1. e4 e5 2. Nf3 d6 3. Bb5+ Nd7 4. O-O Ngf6 5. d4 exd4 6. Nxd4 a6 7. Bxd7+ Bxd7 *'
+    assert.deepStrictEqual(renderPGN(pgn, {strict: true}).memory_positions, renderPGN(pgn).memory_positions)
+})
+
+test('moves leaving the king in check are rejected in strict mode', () => {
+    // the knight is pinned to the king by the bishop
+    rejects('1. e4 d5 2. Bb5+ Nc6 3. Nf3 Nb8 *', 6, /leaves the king in check/)
+    // a check has to be answered
+    rejects('1. e4 d5 2. Bb5+ Nf6 *', 4, /leaves the king in check/)
+    rejects('[FEN "4k3/8/8/8/8/8/3r4/4K3 w - - 0 1"]\n\n1. Kd1 *', 1, /leaves the king in check/)
+    // without strict the moves are played as written
+    assert.strictEqual(renderPGN('1. e4 d5 2. Bb5+ Nf6 *').memory_positions.length, 5)
+})
+
+test('castling out of, through or into check is rejected in strict mode', () => {
+    rejects('[FEN "4k3/4r3/8/8/8/8/8/4K2R w K - 0 1"]\n\n1. O-O *', 1, /out of check/)
+    rejects('[FEN "4k3/8/8/8/8/8/5r2/4K2R w K - 0 1"]\n\n1. O-O *', 1, /through check/)
+    rejects('[FEN "4k1r1/8/8/8/8/8/8/4K2R w K - 0 1"]\n\n1. O-O *', 1, /into check/)
+    assert.strictEqual(renderPGN('[FEN "4k3/8/8/8/8/8/8/4K2R w K - 0 1"]\n\n1. O-O *', {strict: true}).getFEN(1), '4k3/8/8/8/8/8/8/5RK1 b - - 1 1')
+})
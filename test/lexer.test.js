@@ -0,0 +1,39 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN} = require('../src/chess.js')
+
+const sans = board => board.memory_moves.slice(1).map(move => move.san).join(' ')
+
+test('comments, escape lines, escaped quotes and Windows line endings are read', () => {
+    const pgn = '\ufeff[Event "A \\"big\\" one"]\r\n[Annotator "C:\\\\games"]\r\n\r\n% a line for other programs\r\n1.\te4 e5 ; the rest of the line\r\n2. Nf3 {a\r\ncomment} Nc6 *\r\n'
+    const board = renderPGN(pgn)
+    assert.deepStrictEqual(board.tags.map(tag => tag.value), ['A "big" one', 'C:\\games'])
+    assert.strictEqual(sans(board), 'e4 e5 Nf3 Nc6')
+    // nothing here is outside the standard, so nothing is reported
+    assert.deepStrictEqual(board.diagnostics, [])
+})
+
+test('notation that is not standard PGN is read with a warning', () => {
+    const pgn = '1. e4 d5 2. e5 f5 3. exf6 e.p. \u2658f6 4. \u2658f3 e6 5. \u2657e2 \u2657e7 6. 0-0 0-0 *'
+    const board = renderPGN(pgn)
+    assert.strictEqual(sans(board), 'e4 d5 e5 f5 exf6 Nf6 Nf3 e6 Be2 Be7 O-O O-O')
+    const warnings = board.diagnostics.map(diagnostic => [diagnostic.severity, diagnostic.code])
+    assert.deepStrictEqual(warnings, [
+        ['warning', 'en_passant_suffix'],
+        ['warning', 'figurine_notation'],
+        ['warning', 'figurine_notation'],
+        ['warning', 'figurine_notation'],
+        ['warning', 'figurine_notation'],
+        ['warning', 'zero_castling'],
+        ['warning', 'zero_castling']
+    ])
+    // each warning points at the text that was changed
+    const castle = board.diagnostics[5]
+    assert.strictEqual(pgn.substring(castle.start, castle.end), '0-0')
+})
+
+test('castling with zeros on the queen side is read too', () => {
+    const board = renderPGN('[FEN "r3k3/8/8/8/8/8/8/R3K3 w Qq - 0 1"]\n\n1. 0-0-0 0-0-0 *')
+    assert.strictEqual(sans(board), 'O-O-O O-O-O')
+    assert.strictEqual(board.getFEN(2), '2kr4/8/8/8/8/8/8/2KR4 w - - 2 2')
+})
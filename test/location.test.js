@@ -0,0 +1,33 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, ParserError, InterpretError} = require('../src/chess.js')
+
+function errorOf(pgn, settings = {}) {
+    try {
+        renderPGN(pgn, settings)
+    } catch (error) {
+        return error
+    }
+    assert.fail(`"${pgn}" was read without an error`)
+}
+
+test('a move that cannot be parsed is pointed at itself', () => {
+    const pgn = '1. e4 e5\n2. Qxx5 Nc6 3. Nf3 *'
+    const error = errorOf(pgn)
+    assert.ok(error instanceof ParserError)
+    assert.strictEqual(pgn.substring(error.start, error.end), 'Qxx')
+    assert.deepStrictEqual([error.line, error.col], [2, 4])
+
+    const diagnostic = renderPGN(pgn, {recover: true}).diagnostics[0]
+    assert.strictEqual(diagnostic.code, 'parser_error')
+    assert.strictEqual(diagnostic.start, error.start)
+})
+
+test('errors from moves in coordinate notation name the move', () => {
+    const pgn = '1. e4 e5 2. g1h3 b7b5 3. d3d4 *'
+    const error = errorOf(pgn)
+    assert.ok(error instanceof InterpretError)
+    assert.strictEqual(error.message, 'Cannot interpret move d3d4 because there is no white piece on d3')
+    assert.strictEqual(pgn.substring(error.start, error.end), 'd3d4')
+    assert.strictEqual(errorOf('1. Bg1-e2 *').message, 'Cannot interpret move Bg1-e2 because the piece on g1 is not a B')
+})
@@ -0,0 +1,56 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, PGNGame} = require('../src/chess.js')
+
+const sans = moves => moves.map(move => move.san)
+
+test('every legal move of a position is listed', () => {
+    const board = renderPGN('1. e4 e5 *')
+    assert.strictEqual(board.getLegalMoves(0).length, 20)
+    assert.deepStrictEqual(board.getLegalMoves(0, 'g1'), [
+        {from: 'g1', to: 'f3', san: 'Nf3', piece: 'WN', captured: null, promotion: null, castle: null, en_passant: false, check: false, mate: false},
+        {from: 'g1', to: 'h3', san: 'Nh3', piece: 'WN', captured: null, promotion: null, castle: null, en_passant: false, check: false, mate: false}
+    ])
+    // the position of any node in the move tree can be used
+    const node = board.getNode(2)
+    assert.strictEqual(board.makeLegalMoves(node.position, node.state).length, 29)
+    assert.strictEqual(board.getLegalMoves(3), null)
+    assert.deepStrictEqual(board.getLegalMoves(0, 'e4'), [])
+})
+
+test('pinned pieces and a king in check only get the moves that are legal', () => {
+    const pinned = renderPGN('[FEN "4r1k1/8/8/8/8/8/4N3/4K3 w - - 0 1"]\n\n*')
+    assert.deepStrictEqual(pinned.getLegalMoves(0, 'e2'), [])
+    assert.deepStrictEqual(sans(pinned.getLegalMoves(0)), ['Kd1', 'Kf1', 'Kd2', 'Kf2'])
+
+    // only blocking the check or moving the king out of it is left
+    const checked = renderPGN('[FEN "4k3/8/8/8/1b6/8/8/3QK3 w - - 0 1"]\n\n*')
+    assert.deepStrictEqual(sans(checked.getLegalMoves(0)), ['Qd2', 'Kf1', 'Ke2', 'Kf2'])
+})
+
+test('en passant is given only while it is allowed and legal', () => {
+    const board = renderPGN('[FEN "4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 1"]\n\n*')
+    const capture = board.getLegalMoves(0, 'e5')[1]
+    assert.deepStrictEqual([capture.san, capture.captured, capture.en_passant], ['exd6', 'BP', true])
+    // taking would leave the king in check along the rank
+    const pinned = renderPGN('[FEN "4k3/8/8/K2pP2r/8/8/8/8 w - d6 0 1"]\n\n*')
+    assert.deepStrictEqual(sans(pinned.getLegalMoves(0, 'e5')), ['e6'])
+})
+
+test('castling is given unless the king passes an attacked square', () => {
+    const free = renderPGN('[FEN "r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1"]\n\n*')
+    assert.deepStrictEqual(free.getLegalMoves(0, 'e1').filter(move => move.castle !== null).map(move => [move.san, move.castle, move.to]), [['O-O', 'K', 'g1'], ['O-O-O', 'Q', 'c1']])
+    const attacked = renderPGN('[FEN "r3k2r/8/8/8/8/8/5r2/R3K2R w KQkq - 0 1"]\n\n*')
+    assert.deepStrictEqual(sans(attacked.getLegalMoves(0, 'e1')), ['Kd1', 'Kxf2', 'O-O-O'])
+})
+
+test('a pawn reaching the last rank gives a move for every promotion', () => {
+    const board = renderPGN('[FEN "1r2k3/P7/8/8/8/8/8/4K3 w - - 0 1"]\n\n*')
+    assert.deepStrictEqual(sans(board.getLegalMoves(0, 'a7')), ['a8=Q', 'a8=R', 'a8=B', 'a8=N', 'axb8=Q+', 'axb8=R+', 'axb8=B', 'axb8=N'])
+})
+
+test('moves that give check or mate are marked', () => {
+    const game = new PGNGame('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1')
+    const checks = game.legalMoves('a1').filter(move => move.check)
+    assert.deepStrictEqual(checks.map(move => [move.san, move.mate]), [['Ra8#', true]])
+})
@@ -0,0 +1,26 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, writePGN, ParserError} = require('../src/chess.js')
+
+test('moves in long algebraic and coordinate notation get their SAN', () => {
+    const game = renderPGN('1. e2e4 e7-e5 2. Ng1f3 Nb8-c6!? 3. Bf1-b5 a7a6 4. e1g1 g8f6 5. Bb5xc6 d7xc6 6. d2d4 e5xd4 *')
+    const records = game.memory_moves.slice(1)
+
+    assert.deepStrictEqual(records.map(record => record.san), ['e4', 'e5', 'Nf3', 'Nc6', 'Bb5', 'a6', 'O-O', 'Nf6', 'Bxc6', 'dxc6', 'd4', 'exd4'])
+    assert.deepStrictEqual(records.slice(0, 4).map(record => record.notation), ['e2e4', 'e7-e5', 'Ng1f3', 'Nb8-c6'])
+    assert.strictEqual(writePGN(game).split('\n\n')[1], '1. e4 e5 2. Nf3 Nc6 $5 3. Bb5 a6 4. O-O Nf6 5. Bxc6 dxc6 6. d4 exd4 *\n')
+})
+
+test('castling onto the rook in Chess960 gets its SAN', () => {
+    const game = renderPGN('[Variant "Chess960"]\n[FEN "rk6/8/8/8/8/8/8/1K5R w Hq - 0 1"]\n\n1. b1h1 b8a8 *')
+    assert.deepStrictEqual(game.memory_moves.slice(1).map(record => record.san), ['O-O', 'O-O-O'])
+})
+
+test('coordinate moves with a square off the board are rejected where they are written', () => {
+    for(const move of ['e2e9', 'e2-e9', 'e0e2', 'Ng1-f9']) {
+        const pgn = `1. d4 d5 2. ${move} *`
+        assert.throws(() => renderPGN(pgn), error => {
+            return error instanceof ParserError && /on the board/.test(error.message) && pgn.substring(error.start, error.end) == move
+        }, move)
+    }
+})
@@ -0,0 +1,25 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN} = require('../src/chess.js')
+
+test('every move has a record of what was played', () => {
+    const board = renderPGN('1. e4 d5 2. exd5 Qxd5 3. Nc3 Qa5 4. d4 Nf6 5. Bd2 Bf5 6. Bc4 e6 7. Qe2 Bb4 8. O-O-O O-O *')
+    assert.strictEqual(board.memory_moves.length, board.memory_positions.length)
+    assert.strictEqual(board.memory_moves[0], null)
+
+    const capture = board.memory_moves[3]
+    assert.deepStrictEqual([capture.ply, capture.move_number, capture.color, capture.san], [3, 2, 'W', 'exd5'])
+    assert.deepStrictEqual([capture.from, capture.to, capture.piece, capture.captured], ['e4', 'd5', 'WP', 'BP'])
+
+    const castle = board.memory_moves[15]
+    assert.deepStrictEqual([castle.from, castle.to, castle.castle], ['e1', 'c1', 'Q'])
+    assert.strictEqual(board.memory_moves[16].castle, 'K')
+})
+
+test('the move number is counted from the start of the game, not taken from the PGN', () => {
+    const board = renderPGN('1. e4 e5 5. Nf3 *')
+    assert.deepStrictEqual(board.memory_moves.slice(1).map(record => record.move_number), [1, 1, 2])
+
+    const from_fen = renderPGN('[FEN "4k3/8/8/8/8/8/4P3/4K3 b - - 0 23"]\n\n23... Kd7 24. e4 *')
+    assert.deepStrictEqual(from_fen.memory_moves.slice(1).map(record => record.move_number), [23, 24])
+})
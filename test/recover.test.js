@@ -0,0 +1,42 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, readPGNGames, ParserError} = require('../src/chess.js')
+
+const codes = board => board.diagnostics.map(diagnostic => diagnostic.code)
+
+test('a move that cannot be played stops its line', () => {
+    const board = renderPGN('1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 4. Bxf7 Nf6 5. O-O 1-0', {recover: true})
+    assert.strictEqual(board.memory_boards.length, 7)
+    assert.deepStrictEqual(codes(board), ['interpret_error'])
+    assert.strictEqual(board.diagnostics[0].ply, 7)
+})
+
+test('a broken variation only loses itself', () => {
+    const board = renderPGN('1. e4 e5 (1... c5 2. Kxe8) 2. Nf3 *', {recover: true, variations: true})
+    assert.strictEqual(board.memory_moves.length, 4)
+    assert.deepStrictEqual(codes(board), ['interpret_error'])
+    // the variation keeps the move before the one that couldn't be played
+    assert.strictEqual(board.root.children[0].children[1].record.san, 'c5')
+    assert.strictEqual(board.root.children[0].children[1].children.length, 0)
+})
+
+test('text and notation that cannot be read are skipped up to the next move number', () => {
+    const board = renderPGN('1. e4 e5 2. Nf3 ~~ Nc6 3. Bb5 *', {recover: true})
+    assert.deepStrictEqual(codes(board), ['lexer_error'])
+    assert.strictEqual(board.memory_moves.length, 4)
+})
+
+test('squares off the board are reported instead of thrown', () => {
+    for(const pgn of ['1. e9 *', '1. e2e9 *', '1. e4 Ra9a8 *', '1. exd9 *', '1. R9a1 *', '1. e4 e0 *']) {
+        const board = renderPGN(pgn, {recover: true})
+        assert.deepStrictEqual(codes(board), ['parser_error'], pgn)
+        assert.match(board.diagnostics[0].message, /on the board/)
+        assert.throws(() => renderPGN(pgn), ParserError)
+    }
+})
+
+test('every game of a file is given back', async () => {
+    const boards = await readPGNGames('1. e4 e9 *\n\n1. d4 d5 *\n', {recover: true})
+    assert.strictEqual(boards.length, 2)
+    assert.deepStrictEqual(boards.map(codes), [['parser_error'], []])
+})
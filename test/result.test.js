@@ -0,0 +1,28 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, RESULT_WHITE_WIN, RESULT_DRAW, RESULT_UNKNOWN} = require('../src/chess.js')
+
+test('an invalid Result tag is only reported once', () => {
+    const codes = pgn => renderPGN(pgn).diagnostics.map(diagnostic => diagnostic.code)
+    assert.deepStrictEqual(codes('[Result "white wins"]\n\n1. e4 e5 1-0'), ['invalid_result_tag'])
+    assert.deepStrictEqual(codes('[Result "0-1"]\n\n1. e4 e5 1-0'), ['result_tag_mismatch'])
+})
+
+test('an unfinished game ends with "*" and its result is unknown', () => {
+    const board = renderPGN('[Result "*"]\n\n1. e4 e5 *')
+    assert.strictEqual(board.result_str, '*')
+    assert.strictEqual(board.result, RESULT_UNKNOWN)
+    assert.deepStrictEqual(board.diagnostics, [])
+})
+
+test('without a result at the end of the movetext, the Result tag is used', () => {
+    const codes = board => board.diagnostics.map(diagnostic => diagnostic.code)
+    const tagged = renderPGN('[Result "1-0"]\n\n1. e4 e5')
+    assert.deepStrictEqual([tagged.result_str, tagged.result, codes(tagged)], ['1-0', RESULT_WHITE_WIN, ['missing_result']])
+
+    const untagged = renderPGN('1. e4 e5')
+    assert.deepStrictEqual([untagged.result_str, untagged.result, codes(untagged)], ['*', RESULT_UNKNOWN, ['missing_result']])
+
+    const draw = renderPGN('1. e4 e5 1/2-1/2')
+    assert.strictEqual(draw.result, RESULT_DRAW)
+})
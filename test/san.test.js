@@ -0,0 +1,37 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN} = require('../src/chess.js')
+
+const position = fen => renderPGN(`[FEN "${fen}"]\n\n*`)
+
+test('the square a piece moves from is named only as much as needed', () => {
+    const knights = position('1k6/8/8/8/8/N3N3/8/4K3 w - - 0 1')
+    assert.deepStrictEqual([knights.getSAN('a3', 'c4'), knights.getSAN('e3', 'c4'), knights.getSAN('e3', 'd5')], ['Nac4', 'Nec4', 'Nd5'])
+    const rooks = position('7k/8/8/8/R7/8/8/R3K3 w - - 0 1')
+    assert.deepStrictEqual([rooks.getSAN('a1', 'a2'), rooks.getSAN('a4', 'a2')], ['R1a2', 'R4a2'])
+    // with a piece on the same file and another on the same rank, both are needed
+    const queens = position('k7/8/8/8/8/2Q1Q3/8/2Q1K3 w - - 0 1')
+    assert.deepStrictEqual([queens.getSAN('c3', 'd2'), queens.getSAN('e3', 'd2'), queens.getSAN('c1', 'd2')], ['Qc3d2', 'Qed2', 'Q1d2'])
+})
+
+test('captures, promotions, castling, check and mate are written', () => {
+    const board = position('1k6/4P3/8/3p4/4P3/8/8/4K2R w K - 0 1')
+    assert.strictEqual(board.getSAN('e4', 'd5'), 'exd5')
+    assert.strictEqual(board.getSAN('e7', 'e8', 'q'), 'e8=Q+')
+    assert.strictEqual(board.getSAN('h1', 'h8'), 'Rh8+')
+    // the king moving two squares or onto its own rook
+    assert.deepStrictEqual([board.getSAN('e1', 'g1'), board.getSAN('e1', 'h1')], ['O-O', 'O-O'])
+
+    const mate = position('6k1/5ppp/8/8/8/8/8/R5K1 w - - 0 1')
+    assert.strictEqual(mate.makeMoveSAN(mate.memory_boards[0], mate.memory_states[0], 'a1', 'a8'), 'Ra8#')
+})
+
+test('moves that are not legal have no SAN', () => {
+    const board = position('1k6/4P3/8/3p4/4P3/8/8/4K2R w K - 0 1')
+    // a pawn reaching the last rank must be given its promotion
+    assert.strictEqual(board.getSAN('e7', 'e8'), null)
+    assert.strictEqual(board.getSAN('e4', 'e6'), null)
+    assert.strictEqual(board.getSAN('e1', 'e5'), null)
+    assert.strictEqual(board.getSAN('e4', 'd5', null, 5), null)
+    assert.strictEqual(board.findLegalMove(board.memory_positions[0], board.memory_states[0], 'e4', 'd5').captured, 'BP')
+})
@@ -0,0 +1,70 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {PGNGameSplitter, splitPGNGames, readPGNGames, streamPGNGames} = require('../src/chess.js')
+
+const PGN = '[Event "Rapid [Blitz]"]\n[White "A \\"B\\" \\\\ C]"]\n\n1. e4 e5 1-0\n\n[Event "Second"]\n\n1. d4 { a] } d5 ( 1... Nf6 ) 0-1\n\n1. c4 *\n'
+
+test('games are split at their results', () => {
+    const games = splitPGNGames(PGN)
+    assert.strictEqual(games.length, 3)
+    assert.ok(games[0].includes('Rapid [Blitz]') && games[0].includes('1-0'))
+    assert.ok(games[1].includes('Second') && games[1].includes('0-1'))
+    assert.strictEqual(games[2].trim(), '1. c4 *')
+})
+
+test('the splitter gives the same games however the text comes in', () => {
+    const whole = splitPGNGames(PGN)
+    for(var size = 1; size <= 7; size++) {
+        const splitter = new PGNGameSplitter()
+        let games = []
+        for(var i = 0; i < PGN.length; i += size) {
+            games = games.concat(splitter.push(PGN.substring(i, i + size)))
+        }
+        games = games.concat(splitter.end())
+        assert.deepStrictEqual(games, whole)
+    }
+})
+
+test('a tag value holding "]" stays in one game when reading and streaming', async () => {
+    const boards = await readPGNGames(PGN)
+    assert.deepStrictEqual(boards.map(board => board.header.event), ['Rapid [Blitz]', 'Second', undefined])
+    assert.strictEqual(boards[0].header.white, 'A "B" \\ C]')
+
+    async function* chunks() {
+        for(var i = 0; i < PGN.length; i += 5) {
+            yield PGN.substring(i, i + 5)
+        }
+    }
+    let streamed = []
+    for await (const board of streamPGNGames(chunks())) {
+        streamed.push(board.header.event)
+    }
+    assert.deepStrictEqual(streamed, ['Rapid [Blitz]', 'Second', undefined])
+})
+
+test('a game that cannot be read is skipped and reported with its index', async () => {
+    let errors = []
+    const boards = await readPGNGames('1. e4 e5 1-0\n\n1. e4 Ke7 2. Ke2 *\n\n1. Nf6 *\n\n1. d4 d5 0-1', {on_error: (error, index) => errors.push(index)})
+    assert.deepStrictEqual(boards.map(board => board.result_str), ['1-0', '*', '0-1'])
+    assert.deepStrictEqual(errors, [2])
+})
+
+test('streaming reads bytes split in the middle of a character, and Node streams', async () => {
+    const text = '[White "Müller"]\n\n1. e4 e5 1-0\n\n[White "Ørsted"]\n\n1. d4 d5 0-1\n'
+    const bytes = Buffer.from(text, 'utf8')
+    let chunks = []
+    for(var i = 0; i < bytes.length; i += 3) {
+        chunks.push(bytes.subarray(i, i + 3))
+    }
+    let players = []
+    for await (const board of streamPGNGames(chunks)) {
+        players.push(board.header.white)
+    }
+    assert.deepStrictEqual(players, ['Müller', 'Ørsted'])
+
+    let results = []
+    for await (const board of streamPGNGames(require('node:stream').Readable.from([text]))) {
+        results.push(board.result_str)
+    }
+    assert.deepStrictEqual(results, ['1-0', '0-1'])
+})
@@ -0,0 +1,45 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, PGNGame, InterpretError} = require('../src/chess.js')
+
+test('checkmate and stalemate are found on every position of the game', () => {
+    const mated = renderPGN('1. f3 e5 2. g4 Qh4# 0-1')
+    assert.strictEqual(mated.memory_moves[4].mate, true)
+    assert.strictEqual(mated.memory_status[4].checkmate, true)
+    assert.ok(mated.memory_status.every(status => status.can_move !== null))
+
+    const stalemated = renderPGN('[FEN "7k/8/6K1/8/8/8/5Q2/8 w - - 0 1"]\n\n1. Qf7 1-0')
+    const last = stalemated.memory_status[stalemated.memory_status.length - 1]
+    assert.strictEqual(last.stalemate, true)
+    assert.deepStrictEqual(stalemated.diagnostics.map(diagnostic => diagnostic.code), ['result_position_mismatch'])
+})
+
+test('moves after stalemate are reported', () => {
+    const pgn = '[FEN "7k/8/6K1/8/8/8/5Q2/8 w - - 0 1"]\n\n1. Qf7 Kh7 *'
+    assert.deepStrictEqual(renderPGN(pgn).diagnostics.map(diagnostic => diagnostic.code), ['moves_after_end'])
+    assert.throws(() => renderPGN(pgn, {strict: true}), error => error instanceof InterpretError && /ended in stalemate/.test(error.message))
+
+    const game = new PGNGame('7k/8/6K1/8/8/8/5Q2/8 w - - 0 1')
+    game.move('Qf7')
+    assert.strictEqual(game.isStalemate(), true)
+    assert.throws(() => game.move('Kh7'), /ended in stalemate/)
+})
+
+test('draws are found by material, repetition and the move counters', () => {
+    const bare = renderPGN('[FEN "4k3/8/8/8/8/8/8/4KB2 w - - 0 1"]\n\n1/2-1/2')
+    assert.strictEqual(bare.memory_status[0].insufficient_material, true)
+    assert.strictEqual(bare.memory_status[0].ending(), 'insufficient material')
+
+    const fifty = renderPGN('[FEN "4k3/8/8/8/8/8/8/R3K3 w - - 99 80"]\n\n80. Ra2 1/2-1/2')
+    const status = fifty.memory_status[1]
+    assert.deepStrictEqual([status.fifty_moves, status.seventy_five_moves, status.canClaimDraw(), status.isGameOver()], [true, false, true, false])
+    assert.deepStrictEqual(fifty.diagnostics, [])
+})
+
+test('a result that disagrees with checkmate is an error', () => {
+    const codes = (board) => board.diagnostics.map(diagnostic => [diagnostic.severity, diagnostic.code, diagnostic.ply])
+    assert.deepStrictEqual(codes(renderPGN('1. f3 e5 2. g4 Qh4# 1-0')), [['error', 'result_position_mismatch', 4]])
+    // an unfinished game can still be checkmate, it just wasn't recorded
+    assert.deepStrictEqual(codes(renderPGN('1. f3 e5 2. g4 Qh4# *')), [['warning', 'result_position_mismatch', 4]])
+    assert.throws(() => renderPGN('1. f3 e5 2. g4 Qh4# 1-0', {strict: true}), error => error instanceof InterpretError && /which means 0-1/.test(error.message))
+})
@@ -0,0 +1,43 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN} = require('../src/chess.js')
+
+const read = (tags) => renderPGN(tags + '\n\n1. e4 *')
+
+test('tags are kept in order and found in any case', () => {
+    const board = read('[Event "A"]\n[Annotator "X"]\n[WhiteElo "2710"]\n[Annotator "Y"]')
+    assert.deepStrictEqual(board.tags.map(tag => tag.name), ['Event', 'Annotator', 'WhiteElo', 'Annotator'])
+    assert.strictEqual(board.getTag('whiteelo'), '2710')
+    assert.deepStrictEqual(board.getTags('ANNOTATOR'), ['X', 'Y'])
+    assert.strictEqual(board.header.annotator, 'Y')
+    assert.deepStrictEqual(board.diagnostics.map(diagnostic => diagnostic.code), ['duplicate_tag'])
+})
+
+test('dates are read with their unknown parts', () => {
+    assert.deepStrictEqual(read('[Date "2024.03.??"]').getDate(), {year: 2024, month: 3, day: null})
+    assert.deepStrictEqual(read('[EventDate "????.??.??"]').getDate('EventDate'), {year: null, month: null, day: null})
+    assert.deepStrictEqual(read('[Date "2024.02.29"]').getDate(), {year: 2024, month: 2, day: 29})
+    assert.deepStrictEqual(read('[Date "????.02.29"]').getDate(), {year: null, month: 2, day: 29})
+    assert.strictEqual(read('[Date "2024.3.1"]').getDate(), null)
+})
+
+test('dates that are not on the calendar are not read', () => {
+    for(const date of ['2024.13.45', '2024.00.10', '2024.01.00', '2024.04.31', '2023.02.29', '1900.02.29', '2024.??.32']) {
+        assert.strictEqual(read(`[Date "${date}"]`).getDate(), null, date)
+    }
+})
+
+test('ratings, rounds, time controls and terminations are read as values', () => {
+    const board = read('[Round "3.1"]\n[WhiteElo "2710"]\n[BlackElo "-"]\n[TimeControl "40/7200:3600+30"]\n[Termination "Time forfeit"]')
+    assert.strictEqual(board.getElo('W'), 2710)
+    assert.strictEqual(board.getElo('B'), null)
+    assert.deepStrictEqual(board.getRound(), [3, 1])
+    assert.deepStrictEqual(board.getTimeControl(), [{moves: 40, seconds: 7200, increment: 0, sandclock: false}, {moves: null, seconds: 3600, increment: 30, sandclock: false}])
+    assert.strictEqual(board.getTermination(), 'time forfeit')
+
+    const other = read('[Round "?"]\n[TimeControl "-"]\n[Termination "Bored"]')
+    assert.strictEqual(other.getRound(), null)
+    assert.deepStrictEqual(other.getTimeControl(), [])
+    assert.strictEqual(other.getTermination(), null)
+    assert.strictEqual(other.getDate(), null)
+})
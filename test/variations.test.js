@@ -0,0 +1,40 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, InterpretError} = require('../src/chess.js')
+
+const PGN = '1. e4 (1. d4 d5 (1... Nf6 2. c4) 2. c4) 1... e5 2. Nf3 1-0'
+
+test('variations are kept in a move tree next to the main line', () => {
+    const board = renderPGN(PGN, {variations: true})
+    assert.strictEqual(board.memory_positions.length, 4)
+    assert.strictEqual(board.root.children.length, 2)
+
+    const e4 = board.getNode(1)
+    assert.strictEqual(e4, board.root.next())
+    assert.ok(e4.isMainline())
+    assert.deepStrictEqual(e4.mainline().map(node => node.record.san), ['e5', 'Nf3'])
+
+    const d4 = e4.siblings()[0]
+    assert.strictEqual(d4.record.san, 'd4')
+    assert.ok(!d4.isMainline())
+    assert.deepStrictEqual(d4.mainline().map(node => node.record.san), ['d5', 'c4'])
+    assert.deepStrictEqual(d4.variations().map(node => node.record.san), ['Nf6'])
+    assert.deepStrictEqual(d4.next().siblings(), d4.variations())
+    assert.strictEqual(d4.variations()[0].next().parent.parent, d4)
+    assert.strictEqual(board.makeFEN(d4.position, d4.state), 'rnbqkbnr/pppppppp/8/8/3P4/8/PPP1PPPP/RNBQKBNR b KQkq d3 0 1')
+    assert.strictEqual(d4.board[3][3], 'WP')
+})
+
+test('variations are skipped unless asked for', () => {
+    const board = renderPGN(PGN)
+    assert.strictEqual(board.memory_positions.length, 4)
+    assert.strictEqual(board.root.children.length, 1)
+})
+
+test('moves in a variation are played from the position it branches from', () => {
+    assert.throws(() => renderPGN('1. e4 e5 (1... Nf3) 2. Nf3 *', {variations: true}), InterpretError)
+    const board = renderPGN('1. e4 e5 (1... c5 2. Nf3 (2. c3) 2... d6) 2. Nf3 *', {variations: true})
+    const c3 = board.getNode(1).children[1].next().siblings()[0]
+    assert.strictEqual(c3.ply, 3)
+    assert.strictEqual(board.makeFEN(c3.position, c3.state), 'rnbqkbnr/pp1ppppp/8/2p5/4P3/2P5/PP1P1PPP/RNBQKBNR b KQkq - 0 2')
+})
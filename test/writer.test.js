@@ -0,0 +1,48 @@
+const test = require('node:test')
+const assert = require('node:assert')
+const {renderPGN, writePGN, PGNWriter} = require('../src/chess.js')
+
+test('a game is written as standard PGN and read back the same', () => {
+    const board = renderPGN('[White "Player 1"]\n[Annotator "Me"]\n\n{opening} 1. e4 $1 (1. d4 d5) 1... e5 {x} 2. Nf3 (2. f4) 2... Nc6 1-0', {variations: true})
+    const written = writePGN(board)
+    assert.strictEqual(written, '[Event "?"]\n[Site "?"]\n[Date "????.??.??"]\n[Round "?"]\n[White "Player 1"]\n[Black "?"]\n[Result "1-0"]\n[Annotator "Me"]\n\n{opening} 1. e4 $1 (1. d4 d5) 1... e5 {x} 2. Nf3 (2. f4) 2... Nc6 1-0\n')
+    assert.strictEqual(writePGN(renderPGN(written, {variations: true})), written)
+})
+
+test('lines are wrapped at the line length', () => {
+    const board = renderPGN('1. e4 e5 2. Nf3 Nc6 3. Bb5 a6 4. Ba4 Nf6 5. O-O Be7 6. Re1 b5 7. Bb3 d6 8. c3 O-O 9. h3 Nb8 10. d4 Nbd7 *')
+    const writer = new PGNWriter(board)
+    writer.settings.line_length = 30
+    const movetext = writer.write().split('\n\n')[1].trim().split('\n')
+    assert.ok(movetext.length > 3)
+    assert.ok(movetext.every(line => line.length <= 30))
+    assert.strictEqual(movetext.join(' '), writePGN(board).split('\n\n')[1].trim().split('\n').join(' '))
+})
+
+test('a long comment is written back unchanged', () => {
+    const comment = 'a long comment that goes on well past the end of a line,  with two spaces and a word like %escape that must stay inside it'
+    const game = renderPGN(`1. e4 {${comment}} e5 2. Nf3 {short} Nc6 *`)
+    const written = writePGN(game)
+    const again = renderPGN(written)
+
+    assert.deepStrictEqual(again.getNode(1).move.comments_after, [comment])
+    assert.deepStrictEqual(again.getNode(3).move.comments_after, ['short'])
+    assert.strictEqual(writePGN(again), written)
+    for(const line of written.split('\n')) {
+        assert.ok(!line.startsWith('%'))
+        assert.ok(line.length <= 80)
+    }
+})
+
+test('a comment is read the same when it is broken over lines', () => {
+    const game = renderPGN('1. e4 {a comment\nbroken  over\r\n  lines} *')
+    assert.deepStrictEqual(game.getNode(1).move.comments_after, ['a comment broken  over lines'])
+})
+
+test('clock times are rounded before they are split into hours, minutes and seconds', () => {
+    const written = writePGN(renderPGN('1. e4 {[%clk 0:00:59.9996]} e5 {[%clk 0:59:59.9996]} 2. Nf3 {[%emt 0:01:01.5]} *'))
+    assert.ok(written.includes('[%clk 0:01:00]'))
+    assert.ok(written.includes('[%clk 1:00:00]'))
+    assert.ok(written.includes('[%emt 0:01:01.5]'))
+    assert.ok(!written.includes(':60'))
+})